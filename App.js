@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, ActivityIndicator } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -7,7 +7,13 @@ import { StatusBar } from 'expo-status-bar';
 import LoginScreen from './src/screens/LoginScreen';
 import UnlockScreen from './src/screens/UnlockScreen';
 import VaultScreen from './src/screens/VaultScreen';
-import { getAuthToken, getUserEmail, getSessionKeys, clearAllData } from './src/utils/storage';
+import ChangePasswordScreen from './src/screens/ChangePasswordScreen';
+import SettingsScreen from './src/screens/SettingsScreen';
+import VaultHealthScreen from './src/screens/VaultHealthScreen';
+import { getAuthToken, getUserEmail, getSessionKeys, setSessionKeys, clearSessionKeys, clearAllData, getSettings, getLastActiveAt } from './src/utils/storage';
+import { clearCopiedSecret } from './src/utils/clipboard';
+import { shouldAutoLock } from './src/utils/autoLock';
+import { useAutoLock, captureActivity } from './src/utils/useAutoLock';
 
 const Stack = createStackNavigator();
 
@@ -16,6 +22,10 @@ export default function App() {
   const [token, setToken] = useState(null);
   const [email, setEmail] = useState(null);
   const [keyPair, setKeyPair] = useState(null);
+  // Bumped by every lock and logout. Async work started while unlocked (key
+  // rotation, a sync) reads it first and stops once it has moved on, so a
+  // flow that outlives an auto-lock never brings the keys back
+  const lockGeneration = useRef(0);
 
   useEffect(() => {
     restoreSession();
@@ -25,6 +35,13 @@ export default function App() {
     try {
       const savedToken = await getAuthToken();
       const savedEmail = await getUserEmail();
+
+      // Auto-lock still applies when the app was killed while unlocked
+      const { autoLock } = await getSettings();
+      const lastActiveAt = await getLastActiveAt();
+      if (lastActiveAt && shouldAutoLock(autoLock, { idleFor: Date.now() - lastActiveAt, appState: 'background' })) {
+        await clearSessionKeys();
+      }
       const savedKeys = await getSessionKeys();
 
       if (savedToken && savedEmail) {
@@ -54,17 +71,40 @@ export default function App() {
     setKeyPair(keys);
   };
 
-  const handleLock = () => {
+  // New keys for the open vault (rotation, password change), persisted here.
+  // generation is lockGeneration.current from when the change started: after
+  // a lock in between, the keys are dropped instead
+  const handleKeysChanged = async (keys, generation) => {
+    if (generation !== lockGeneration.current) return;
+    await setSessionKeys(keys.masterKey, keys.dek);
+    if (generation !== lockGeneration.current) {
+      await clearSessionKeys();
+      return;
+    }
+    setKeyPair(keys);
+  };
+
+  // Every lock ends here, manual or automatic. Leaving the unlocked stack
+  // unmounts the vault screens, which drops the decrypted items; secrets
+  // copied from the vault do not outlive it either
+  const handleLock = async () => {
+    lockGeneration.current += 1;
+    await clearSessionKeys();
+    await clearCopiedSecret();
     setKeyPair(null);
   };
 
   const handleLogout = async () => {
+    lockGeneration.current += 1;
+    await clearCopiedSecret();
     await clearAllData();
     setToken(null);
     setEmail(null);
     setKeyPair(null);
   };
 
+  useAutoLock(Boolean(keyPair), handleLock);
+
   if (initializing) {
     return (
       <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#F3F4F6' }}>
@@ -75,31 +115,48 @@ export default function App() {
 
   return (
     <>
-      <NavigationContainer>
-        <Stack.Navigator screenOptions={{ headerShown: false }}>
-          {!token ? (
-            <Stack.Screen name="Login">
-              {props => <LoginScreen {...props} onLogin={handleLogin} />}
-            </Stack.Screen>
-          ) : !keyPair ? (
-            <Stack.Screen name="Unlock">
-              {props => <UnlockScreen {...props} email={email} onUnlock={handleUnlock} onLogout={handleLogout} />}
-            </Stack.Screen>
-          ) : (
-            <Stack.Screen name="Vault">
-              {props => (
-                <VaultScreen
-                  {...props}
-                  token={token}
-                  keyPair={keyPair}
-                  onLock={handleLock}
-                  onLogout={handleLogout}
-                />
-              )}
-            </Stack.Screen>
-          )}
-        </Stack.Navigator>
-      </NavigationContainer>
+      {/* Sees every touch without taking it, to reset the inactivity timer */}
+      <View style={{ flex: 1 }} onStartShouldSetResponderCapture={captureActivity}>
+        <NavigationContainer>
+          <Stack.Navigator screenOptions={{ headerShown: false }}>
+            {!token ? (
+              <Stack.Screen name="Login">
+                {props => <LoginScreen {...props} onLogin={handleLogin} />}
+              </Stack.Screen>
+            ) : !keyPair ? (
+              <Stack.Screen name="Unlock">
+                {props => <UnlockScreen {...props} email={email} onUnlock={handleUnlock} onLogout={handleLogout} />}
+              </Stack.Screen>
+            ) : (
+              <>
+                <Stack.Screen name="Vault">
+                  {props => (
+                    <VaultScreen
+                      {...props}
+                      token={token}
+                      email={email}
+                      keyPair={keyPair}
+                      onLock={handleLock}
+                      onLogout={handleLogout}
+                      onKeysChanged={handleKeysChanged}
+                      lockGeneration={lockGeneration}
+                    />
+                  )}
+                </Stack.Screen>
+                <Stack.Screen name="ChangePassword">
+                  {props => <ChangePasswordScreen {...props} email={email} onKeysChanged={handleKeysChanged} lockGeneration={lockGeneration} />}
+                </Stack.Screen>
+                <Stack.Screen name="Settings">
+                  {props => <SettingsScreen {...props} keyPair={keyPair} />}
+                </Stack.Screen>
+                <Stack.Screen name="VaultHealth">
+                  {props => <VaultHealthScreen {...props} email={email} keyPair={keyPair} />}
+                </Stack.Screen>
+              </>
+            )}
+          </Stack.Navigator>
+        </NavigationContainer>
+      </View>
     </>
   );
 }
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { subscribeClipboard, clearCopiedSecret } from '../utils/clipboard';
+
+// How long the toast stays up when the clipboard is not cleared on a timer
+const NOTICE_DURATION = 2000;
+
+// Bottom toast counting down to the clipboard being cleared
+export default function ClipboardToast() {
+  const [copied, setCopied] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => subscribeClipboard(setCopied), []);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    setNow(Date.now());
+    if (!copied.expiresAt) {
+      const timer = setTimeout(() => setNow(Date.now()), NOTICE_DURATION);
+      return () => clearTimeout(timer);
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [copied]);
+
+  if (!copied) return null;
+
+  const remaining = copied.expiresAt ? Math.max(0, Math.ceil((copied.expiresAt - now) / 1000)) : null;
+  if (remaining === null && now - copied.copiedAt >= NOTICE_DURATION) return null;
+
+  return (
+    <View
+      pointerEvents="box-none"
+      style={{ position: 'absolute', left: 16, right: 16, bottom: 32, alignItems: 'center' }}
+    >
+      <View style={{
+        backgroundColor: '#323232',
+        borderRadius: 8,
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+        elevation: 6,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.25,
+        shadowRadius: 6
+      }}>
+        <Text style={{ fontSize: 14, color: '#FFFFFF' }}>
+          {remaining === null
+            ? `${copied.label} copied`
+            : `${copied.label} copied · clears in ${remaining}s`}
+        </Text>
+        {remaining !== null && (
+          <TouchableOpacity onPress={clearCopiedSecret}>
+            <Text style={{ fontSize: 14, fontWeight: '700', color: '#90CAF9' }}>CLEAR</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+}
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { highlightParts } from '../vault/search';
+
+// Text with search matches marked; ranges are [start, end) offsets
+export default function HighlightedText({ text, ranges, style, numberOfLines }) {
+  if (!ranges || ranges.length === 0) {
+    return <Text style={style} numberOfLines={numberOfLines}>{text}</Text>;
+  }
+
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {highlightParts(text, ranges).map((part, i) => (
+        part.highlighted
+          ? <Text key={i} style={{ backgroundColor: '#FFF59D', fontWeight: '700' }}>{part.text}</Text>
+          : part.text
+      ))}
+    </Text>
+  );
+}
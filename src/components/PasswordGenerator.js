@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Switch, Platform } from 'react-native';
+import {
+  generatePassword,
+  generatorEntropy,
+  DEFAULT_GENERATOR_OPTIONS,
+  LENGTH_RANGE,
+  WORDS_RANGE
+} from '../vault/generator';
+
+const MODE_LABELS = {
+  random: 'Random',
+  pronounceable: 'Pronounceable',
+  passphrase: 'Passphrase'
+};
+
+const SEPARATORS = [
+  { value: '-', label: '-' },
+  { value: '.', label: '.' },
+  { value: '_', label: '_' },
+  { value: ' ', label: 'space' }
+];
+
+// Inline generator panel for the add/edit item forms
+export default function PasswordGenerator({ onUse, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_GENERATOR_OPTIONS);
+  const [preview, setPreview] = useState('');
+
+  // Live preview: a new password whenever an option changes
+  useEffect(() => {
+    setPreview(generatePassword(options));
+  }, [options]);
+
+  const update = (changes) => setOptions({ ...options, ...changes });
+
+  const renderToggle = (label, key) => (
+    <View key={key} style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 6 }}>
+      <Text style={{ fontSize: 14, color: '#424242' }}>{label}</Text>
+      <Switch
+        value={options[key]}
+        onValueChange={(value) => update({ [key]: value })}
+        trackColor={{ true: '#90CAF9' }}
+        thumbColor={options[key] ? '#1976D2' : '#F5F5F5'}
+      />
+    </View>
+  );
+
+  const renderStepper = (label, key, range) => (
+    <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 6 }}>
+      <Text style={{ fontSize: 14, color: '#424242' }}>{label}</Text>
+      <View style={{ flexDirection: 'row', alignItems: 'center', gap: 12 }}>
+        <TouchableOpacity
+          onPress={() => update({ [key]: Math.max(range.min, options[key] - 1) })}
+          style={{ width: 32, height: 32, borderRadius: 16, backgroundColor: '#E3F2FD', justifyContent: 'center', alignItems: 'center' }}
+        >
+          <Text style={{ fontSize: 18, color: '#1976D2', fontWeight: '700' }}>−</Text>
+        </TouchableOpacity>
+        <Text style={{ fontSize: 15, fontWeight: '600', color: '#212121', minWidth: 24, textAlign: 'center' }}>{options[key]}</Text>
+        <TouchableOpacity
+          onPress={() => update({ [key]: Math.min(range.max, options[key] + 1) })}
+          style={{ width: 32, height: 32, borderRadius: 16, backgroundColor: '#E3F2FD', justifyContent: 'center', alignItems: 'center' }}
+        >
+          <Text style={{ fontSize: 18, color: '#1976D2', fontWeight: '700' }}>+</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={{ backgroundColor: '#F5F9FF', borderWidth: 1, borderColor: '#BBDEFB', borderRadius: 8, padding: 12, marginTop: 8 }}>
+      {/* Mode */}
+      <View style={{ flexDirection: 'row', backgroundColor: '#E3F2FD', borderRadius: 8, padding: 2, marginBottom: 12 }}>
+        {Object.keys(MODE_LABELS).map(mode => (
+          <TouchableOpacity
+            key={mode}
+            onPress={() => update({ mode })}
+            style={{
+              flex: 1,
+              paddingVertical: 8,
+              borderRadius: 6,
+              backgroundColor: options.mode === mode ? '#FFFFFF' : 'transparent'
+            }}
+          >
+            <Text style={{
+              textAlign: 'center',
+              fontSize: 12,
+              fontWeight: options.mode === mode ? '700' : '500',
+              color: options.mode === mode ? '#1976D2' : '#616161'
+            }}>
+              {MODE_LABELS[mode]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* Preview */}
+      <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: '#FFFFFF', borderRadius: 8, borderWidth: 1, borderColor: '#E0E0E0', paddingHorizontal: 12, paddingVertical: 10 }}>
+        <Text
+          selectable={true}
+          style={{ flex: 1, fontSize: 15, color: '#212121', fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace' }}
+        >
+          {preview}
+        </Text>
+        <TouchableOpacity onPress={() => setPreview(generatePassword(options))} style={{ padding: 6 }}>
+          <Text style={{ fontSize: 20, color: '#1976D2' }}>↻</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={{ fontSize: 12, color: '#757575', marginTop: 4, marginBottom: 8 }}>
+        ~{Math.floor(generatorEntropy(options))} bits of entropy
+      </Text>
+
+      {/* Options */}
+      {options.mode === 'passphrase' ? (
+        <>
+          {renderStepper('Words', 'words', WORDS_RANGE)}
+          {renderToggle('Capitalize words', 'capitalize')}
+          {renderToggle('Add a digit', 'digits')}
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 6 }}>
+            <Text style={{ fontSize: 14, color: '#424242' }}>Separator</Text>
+            <View style={{ flexDirection: 'row', gap: 6 }}>
+              {SEPARATORS.map(separator => (
+                <TouchableOpacity
+                  key={separator.label}
+                  onPress={() => update({ separator: separator.value })}
+                  style={{
+                    paddingHorizontal: 10,
+                    paddingVertical: 6,
+                    borderRadius: 6,
+                    borderWidth: 1,
+                    borderColor: options.separator === separator.value ? '#1976D2' : '#E0E0E0',
+                    backgroundColor: options.separator === separator.value ? '#E3F2FD' : '#FFFFFF'
+                  }}
+                >
+                  <Text style={{ fontSize: 13, color: '#424242' }}>{separator.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        </>
+      ) : (
+        <>
+          {renderStepper('Length', 'length', LENGTH_RANGE)}
+          {options.mode === 'random' && renderToggle('Lowercase (a-z)', 'lowercase')}
+          {renderToggle('Uppercase (A-Z)', 'uppercase')}
+          {renderToggle('Digits (0-9)', 'digits')}
+          {renderToggle('Symbols (!@#$…)', 'symbols')}
+          {renderToggle('Exclude ambiguous (I l 1 O 0)', 'excludeAmbiguous')}
+        </>
+      )}
+
+      <View style={{ flexDirection: 'row', gap: 12, marginTop: 12 }}>
+        <TouchableOpacity
+          onPress={onClose}
+          style={{ flex: 1, backgroundColor: '#FFFFFF', borderRadius: 8, paddingVertical: 12, borderWidth: 1, borderColor: '#E0E0E0' }}
+        >
+          <Text style={{ textAlign: 'center', color: '#616161', fontWeight: '600', fontSize: 14 }}>Close</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => onUse(preview)}
+          style={{ flex: 1, backgroundColor: '#1976D2', borderRadius: 8, paddingVertical: 12 }}
+        >
+          <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '700', fontSize: 14 }}>Use Password</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useMemo } from 'react';
+import { View, Text } from 'react-native';
+import { estimateStrength } from '../utils/strength';
+
+const SCORE_COLORS = ['#D32F2F', '#F57C00', '#FBC02D', '#7CB342', '#388E3C'];
+
+// Live strength bar with crack time and feedback, shown under password fields
+export default function PasswordStrengthMeter({ password, userInputs = [], showFeedback = true }) {
+  const strength = useMemo(
+    () => (password ? estimateStrength(password, userInputs) : null),
+    [password, userInputs.join('\n')]
+  );
+
+  if (!strength) {
+    return null;
+  }
+
+  const color = SCORE_COLORS[strength.score];
+
+  return (
+    <View style={{ marginTop: 8 }}>
+      <View style={{ flexDirection: 'row', gap: 4 }}>
+        {[1, 2, 3, 4].map(segment => (
+          <View
+            key={segment}
+            style={{
+              flex: 1,
+              height: 4,
+              borderRadius: 2,
+              backgroundColor: strength.score >= segment ? color : '#E5E7EB'
+            }}
+          />
+        ))}
+      </View>
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 4 }}>
+        <Text style={{ fontSize: 12, fontWeight: '600', color }}>{strength.label}</Text>
+        <Text style={{ fontSize: 12, color: '#6B7280' }}>Cracked in {strength.crackTime}</Text>
+      </View>
+      {showFeedback && strength.warning !== '' && (
+        <Text style={{ fontSize: 12, color: '#B45309', marginTop: 4 }}>⚠️ {strength.warning}</Text>
+      )}
+      {showFeedback && strength.suggestions.map(suggestion => (
+        <Text key={suggestion} style={{ fontSize: 12, color: '#6B7280', marginTop: 2 }}>• {suggestion}</Text>
+      ))}
+    </View>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, TouchableOpacity, Platform } from 'react-native';
+import { parseTotp, generateTotp, totpRemaining } from '../vault/totp';
+
+// Current authenticator code for a stored key, refreshed every second
+export default function TotpCode({ label, secret, onCopy }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const config = useMemo(() => {
+    try {
+      return parseTotp(secret);
+    } catch (err) {
+      return null;
+    }
+  }, [secret]);
+
+  const code = config ? generateTotp(config, now) : null;
+  const remaining = config ? totpRemaining(config.period, now) : 0;
+  const expiring = remaining <= 5;
+  // Split into halves for reading aloud: "123 456"
+  const display = code ? `${code.slice(0, Math.ceil(code.length / 2))} ${code.slice(Math.ceil(code.length / 2))}` : '';
+
+  return (
+    <View style={{ backgroundColor: '#FAFAFA', padding: 14, borderRadius: 8, marginBottom: 12, borderWidth: 1, borderColor: '#E0E0E0', flexDirection: 'row', alignItems: 'center' }}>
+      <View style={{ flex: 1 }}>
+        <Text style={{ fontSize: 11, color: '#757575', marginBottom: 6, fontWeight: '600', letterSpacing: 0.5 }}>
+          {label.toUpperCase()}
+        </Text>
+        {config ? (
+          <>
+            <Text style={{ fontSize: 22, fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace', color: expiring ? '#D32F2F' : '#1976D2', letterSpacing: 2, fontWeight: '700' }}>
+              {display}
+            </Text>
+            <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 8 }}>
+              <View style={{ flex: 1, height: 4, borderRadius: 2, backgroundColor: '#E0E0E0', overflow: 'hidden' }}>
+                <View style={{ width: `${(remaining / config.period) * 100}%`, height: 4, backgroundColor: expiring ? '#D32F2F' : '#1976D2' }} />
+              </View>
+              <Text style={{ fontSize: 12, color: '#757575', marginLeft: 8, minWidth: 28, textAlign: 'right' }}>
+                {remaining}s
+              </Text>
+            </View>
+          </>
+        ) : (
+          <Text style={{ fontSize: 13, color: '#D32F2F' }}>Invalid authenticator key</Text>
+        )}
+      </View>
+      {config && (
+        <TouchableOpacity onPress={() => onCopy(code)} style={{ padding: 8, marginLeft: 4 }}>
+          <Text style={{ fontSize: 16 }}>📋</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useSync } from '../vault/sync';
+import {
+  rewrapDEK,
+  unwrapDEKWithPassword,
+  kdfForNewPassword,
+  generateRecoverySecret,
+  encodeRecoveryKey,
+  encryptDEKWithRecoveryKey
+} from '../vault/crypto';
+import { toSyncBlob, envelopeContext, currentContext } from '../vault/envelope';
+import { getVault, setVault, setSalt, setVaultLastModified, getSettings, disableBiometricUnlock } from '../utils/storage';
+import { validateMasterPassword } from '../utils/validation';
+import { saveRecoveryKeyFile } from '../utils/recoveryKeyFile';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+
+export default function ChangePasswordScreen({ navigation, email, onKeysChanged, lockGeneration }) {
+  const { pushToRemote } = useSync();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmNewPassword, setConfirmNewPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChangePassword = async () => {
+    if (!currentPassword || !newPassword || !confirmNewPassword) {
+      Alert.alert('Error', 'Please fill in all fields');
+      return;
+    }
+
+    // Same rules as registration
+    const { minMasterPasswordScore } = await getSettings();
+    const passwordError = validateMasterPassword(newPassword, confirmNewPassword, {
+      minScore: minMasterPasswordScore,
+      userInputs: [email]
+    });
+    if (passwordError) {
+      Alert.alert('Error', passwordError);
+      return;
+    }
+
+    if (newPassword === currentPassword) {
+      Alert.alert('Error', 'New master password must be different from the current one');
+      return;
+    }
+
+    // Stops when the vault locks along the way (see App's lockGeneration)
+    const generation = lockGeneration.current;
+    setLoading(true);
+    try {
+      const vaultData = await getVault();
+      if (!vaultData) {
+        Alert.alert('Error', 'No vault data found');
+        return;
+      }
+
+      // Verify current password by unwrapping the DEK with it
+      let dek;
+      let currentKdf;
+      try {
+        const unlocked = await unwrapDEKWithPassword(
+          currentPassword,
+          new Uint8Array(vaultData.salt),
+          new Uint8Array(vaultData.encryptedDEK),
+          new Uint8Array(vaultData.dekIV),
+          vaultData.kdf,
+          envelopeContext(email, vaultData)
+        );
+        dek = unlocked.dek;
+        currentKdf = unlocked.kdf;
+      } catch (err) {
+        Alert.alert('Error', 'Current master password is incorrect');
+        return;
+      }
+
+      // New salt + master key, same DEK: vault data does not need re-encryption.
+      // The DEK keeps the envelope's format so it matches the vault ciphertext,
+      // and the KDF keeps its algorithm so every device can still unlock
+      const kdf = await kdfForNewPassword(currentKdf);
+      const { masterKey, encryptedDEK, dekIV, salt } = await rewrapDEK(dek, newPassword, kdf, envelopeContext(email, vaultData));
+      const lastModified = new Date().toISOString();
+
+      let updatedVault = {
+        ...vaultData,
+        encryptedDEK: Array.from(encryptedDEK),
+        dekIV: Array.from(dekIV),
+        salt: Array.from(salt),
+        kdf
+      };
+
+      // Recovery keys wrap the DEK and survive a password change. Legacy vaults
+      // only have a key file containing the old master password: replace it
+      let newRecoveryKey = null;
+      if (!vaultData.recoveryDEK) {
+        const secret = generateRecoverySecret();
+        const context = currentContext(email);
+        const { recoveryDEK, recoveryIV } = await encryptDEKWithRecoveryKey(dek, secret, context);
+        updatedVault = {
+          ...updatedVault,
+          recoveryDEK: Array.from(recoveryDEK),
+          recoveryIV: Array.from(recoveryIV),
+          recoveryFormat: context.format
+        };
+        newRecoveryKey = encodeRecoveryKey(secret);
+
+        // Save the file first: once committed, only the new key works
+        if (!(await saveRecoveryKeyFile(email, newRecoveryKey))) {
+          Alert.alert('Master Password Not Changed', 'The new recovery key was not saved. Your master password and old recovery key are unchanged.');
+          return;
+        }
+      }
+      if (lockGeneration.current !== generation) return;
+
+      await setVault(updatedVault);
+      await setSalt(salt);
+      await setVaultLastModified(lastModified);
+
+      const result = await pushToRemote(toSyncBlob(updatedVault), lastModified);
+
+      if (result.success && result.action === 'pulled') {
+        // Server had newer data and it replaced our change locally
+        Alert.alert('Vault Changed', 'Your vault was updated on another device. Please try changing your master password again.');
+        return;
+      }
+
+      // The biometric copy is of the old master key; enabling again is up to the user
+      await disableBiometricUnlock();
+      // Committed: after a lock the next unlock needs the new password
+      await onKeysChanged({ masterKey, dek }, generation);
+      if (lockGeneration.current !== generation) return;
+
+      if (!result.success) {
+        Alert.alert('Sync Failed', 'Master password changed on this device but failed to sync. It will sync later.\n\n' + (result.error || ''));
+      }
+
+      if (newRecoveryKey) {
+        Alert.alert('Master Password Changed', 'Your old recovery key contains the old master password and no longer works: keep the new one you just saved.');
+        navigation.goBack();
+      } else {
+        Alert.alert('Master Password Changed', 'Your recovery key is still valid.');
+        navigation.goBack();
+      }
+    } catch (err) {
+      console.error('Change master password error:', err);
+      Alert.alert('Error', 'Failed to change master password: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputStyle = {
+    backgroundColor: '#FAFAFA',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 15,
+    color: '#212121'
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={{ flex: 1, backgroundColor: '#F5F5F5' }}
+    >
+      {/* Header */}
+      <LinearGradient
+        colors={['#1976D2', '#1565C0']}
+        style={{
+          paddingTop: Platform.OS === 'ios' ? 50 : 40,
+          paddingBottom: 20,
+          paddingHorizontal: 20,
+          flexDirection: 'row',
+          alignItems: 'center',
+          gap: 12
+        }}
+      >
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ padding: 4 }}>
+          <Text style={{ fontSize: 24, color: '#FFFFFF' }}>←</Text>
+        </TouchableOpacity>
+        <Text style={{ fontSize: 22, fontWeight: '700', color: '#FFFFFF' }}>Change Master Password</Text>
+      </LinearGradient>
+
+      <ScrollView contentContainerStyle={{ padding: 20 }}>
+        <View style={{ marginBottom: 16 }}>
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Current Master Password</Text>
+          <TextInput
+            value={currentPassword}
+            onChangeText={setCurrentPassword}
+            placeholder="Enter current master password"
+            placeholderTextColor="#9E9E9E"
+            secureTextEntry={true}
+            style={inputStyle}
+          />
+        </View>
+
+        <View style={{ marginBottom: 16 }}>
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>New Master Password</Text>
+          <TextInput
+            value={newPassword}
+            onChangeText={setNewPassword}
+            placeholder="Min 12 characters"
+            placeholderTextColor="#9E9E9E"
+            secureTextEntry={true}
+            style={inputStyle}
+          />
+          <PasswordStrengthMeter password={newPassword} userInputs={[email]} />
+        </View>
+
+        <View style={{ marginBottom: 24 }}>
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Confirm New Master Password</Text>
+          <TextInput
+            value={confirmNewPassword}
+            onChangeText={setConfirmNewPassword}
+            placeholder="Re-enter new master password"
+            placeholderTextColor="#9E9E9E"
+            secureTextEntry={true}
+            style={inputStyle}
+          />
+        </View>
+
+        <TouchableOpacity
+          onPress={handleChangePassword}
+          disabled={loading}
+          style={{
+            backgroundColor: '#1976D2',
+            borderRadius: 8,
+            paddingVertical: 16,
+            elevation: 2
+          }}
+        >
+          {loading ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '700', fontSize: 16 }}>Change Master Password</Text>
+          )}
+        </TouchableOpacity>
+
+        <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 16, textAlign: 'center', lineHeight: 18 }}>
+          Your vault data is not re-encrypted. Other devices will ask for the new master password the next time they sync.
+        </Text>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
@@ -11,11 +11,14 @@ import {
   Platform
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import * as FileSystem from 'expo-file-system';
-import * as Sharing from 'expo-sharing';
 import { api } from '../utils/api';
-import { setAuthToken, setSalt, setUserEmail, setVault, setVaultVersion } from '../utils/storage';
-import { generateSalt, deriveKey, generateDEK, encryptDEK, encryptVault, generateRecoveryKey } from '../vault/crypto';
+import { setAuthToken, setSalt, setUserEmail, setVault, setVaultVersion, getSettings } from '../utils/storage';
+import { generateSalt, deriveKey, generateDEK, encryptDEK, selectKdf, generateRecoverySecret, encodeRecoveryKey, encryptDEKWithRecoveryKey } from '../vault/crypto';
+import { sealVault } from '../vault/items';
+import { toSyncBlob, currentContext } from '../vault/envelope';
+import { validateMasterPassword } from '../utils/validation';
+import { shareRecoveryKey } from '../utils/recoveryKeyFile';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 
 export default function LoginScreen({ navigation, onLogin }) {
   const [isRegistering, setIsRegistering] = useState(false);
@@ -25,7 +28,7 @@ export default function LoginScreen({ navigation, onLogin }) {
   const [confirmMasterPassword, setConfirmMasterPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [recoveryKeyDownloaded, setRecoveryKeyDownloaded] = useState(false);
-  const [registrationSalt, setRegistrationSalt] = useState(null); // Store salt for recovery key
+  const [recoverySecret, setRecoverySecret] = useState(null); // Wraps a copy of the DEK
 
   const handleLogin = async () => {
     if (!email || !accountPassword) {
@@ -53,13 +56,13 @@ export default function LoginScreen({ navigation, onLogin }) {
       return;
     }
 
-    if (masterPassword !== confirmMasterPassword) {
-      Alert.alert('Error', 'Master passwords do not match');
-      return;
-    }
-
-    if (masterPassword.length < 12) {
-      Alert.alert('Error', 'Master password must be at least 12 characters');
+    const { minMasterPasswordScore } = await getSettings();
+    const passwordError = validateMasterPassword(masterPassword, confirmMasterPassword, {
+      minScore: minMasterPasswordScore,
+      userInputs: [email]
+    });
+    if (passwordError) {
+      Alert.alert('Error', passwordError);
       return;
     }
 
@@ -70,31 +73,43 @@ export default function LoginScreen({ navigation, onLogin }) {
 
     setLoading(true);
     try {
+      // Pick the KDF explicitly (before creating the account) and record it,
+      // unlock must use exactly this one
+      const kdf = await selectKdf();
+
       // Register with backend (account password only)
       const response = await api.register(email, accountPassword, 'Mobile App');
       await setAuthToken(response.token);
       await setUserEmail(email);
 
-      // Use the SAME salt that was generated for the recovery key
-      const salt = registrationSalt || generateSalt();
+      const salt = generateSalt();
       await setSalt(salt);
 
-      const masterKey = await deriveKey(masterPassword, salt);
+      const masterKey = await deriveKey(masterPassword, salt, kdf);
 
       // Generate and encrypt DEK
       const dek = await generateDEK();
-      const { encryptedDEK, iv: dekIV } = await encryptDEK(dek, masterKey);
+      // Every ciphertext is bound to this account and envelope format (AAD)
+      const context = currentContext(email);
+      const { encryptedDEK, iv: dekIV } = await encryptDEK(dek, masterKey, context);
+
+      // Second copy of the DEK, wrapped with the downloaded recovery key
+      const { recoveryDEK, recoveryIV } = await encryptDEKWithRecoveryKey(dek, recoverySecret, context);
 
-      // Create empty encrypted vault
-      const { encryptedVault, iv: vaultIV } = await encryptVault([], dek);
+      // Create empty encrypted vault (no item records, empty index)
+      const emptyVault = await sealVault([], dek, context);
 
       // Store vault data
       const vaultData = {
-        encryptedVault: Array.from(encryptedVault),
-        vaultIV: Array.from(vaultIV),
+        ...emptyVault,
         encryptedDEK: Array.from(encryptedDEK),
         dekIV: Array.from(dekIV),
         salt: Array.from(salt),
+        kdf,
+        recoveryDEK: Array.from(recoveryDEK),
+        recoveryIV: Array.from(recoveryIV),
+        recoveryFormat: context.format,
+        format: context.format,
         version: 1
       };
 
@@ -102,13 +117,7 @@ export default function LoginScreen({ navigation, onLogin }) {
       await setVaultVersion(1);
 
       // Sync to backend
-      const encryptedBlob = {
-        encryptedVault: Array.from(encryptedVault),
-        vaultIV: Array.from(vaultIV),
-        encryptedDEK: Array.from(encryptedDEK),
-        dekIV: Array.from(dekIV),
-        salt: Array.from(salt)
-      };
+      const encryptedBlob = toSyncBlob(vaultData);
 
       try {
         await api.syncVault(encryptedBlob, 1);
@@ -131,29 +140,20 @@ export default function LoginScreen({ navigation, onLogin }) {
   };
 
   const downloadRecoveryKey = async () => {
-    if (!email || !masterPassword) {
-      Alert.alert('Error', 'Please enter email and master password first');
+    if (!email) {
+      Alert.alert('Error', 'Please enter your email first');
       return;
     }
 
     try {
-      // Generate salt ONCE and store it for registration
-      const salt = generateSalt();
-      setRegistrationSalt(salt); // Store for later use in registration
-      
-      const recoveryKey = generateRecoveryKey(email, masterPassword, salt);
-      
-      const filename = `PassVault_Recovery_Key_${email.replace('@', '_')}.txt`;
-      const content = `PassVault Recovery Key\n\nEmail: ${email}\n\nRecovery Key:\n${recoveryKey}\n\nIMPORTANT:\n- Keep this key safe and secure\n- This is the ONLY way to recover your vault if you forget your master password\n- Never share this key with anyone\n- Store it in a safe place (not on your device)\n\nGenerated: ${new Date().toLocaleString()}`;
+      // Random secret, independent of the master password. Generated ONCE and
+      // kept for registration, where it wraps a copy of the DEK
+      const secret = recoverySecret || generateRecoverySecret();
+      setRecoverySecret(secret);
       
-      const fileUri = FileSystem.documentDirectory + filename;
-      await FileSystem.writeAsStringAsync(fileUri, content);
+      const recoveryKey = encodeRecoveryKey(secret);
       
-      if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(fileUri, {
-          mimeType: 'text/plain',
-          dialogTitle: 'Save Recovery Key'
-        });
+      if (await shareRecoveryKey(email, recoveryKey)) {
         setRecoveryKeyDownloaded(true);
         Alert.alert('Success', 'Recovery key saved! You can now complete registration.');
       } else {
@@ -269,6 +269,7 @@ export default function LoginScreen({ navigation, onLogin }) {
                       fontSize: 14
                     }}
                   />
+                  <PasswordStrengthMeter password={masterPassword} userInputs={[email]} />
                 </View>
 
                 <View style={{ marginBottom: 16 }}>
@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  Platform
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import * as LocalAuthentication from 'expo-local-authentication';
+import {
+  getSettings,
+  updateSettings,
+  setSessionKeys,
+  getVault,
+  isBiometricUnlockEnabled,
+  enableBiometricUnlock,
+  disableBiometricUnlock
+} from '../utils/storage';
+import { SCORE_LABELS } from '../utils/strength';
+import { AUTO_LOCK_OPTIONS } from '../utils/autoLock';
+import { BREACH_RANGE_URL, isValidRangeUrl, isSecureRangeUrl } from '../vault/breach';
+import { whileAutoLockPaused } from '../utils/useAutoLock';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const AUTO_LOCKS = Object.entries(AUTO_LOCK_OPTIONS).map(([value, { label, description }]) => ({
+  value,
+  label,
+  description
+}));
+
+// 0 is off; otherwise days until the master password is required again
+const BIOMETRIC_UNLOCK_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 1, label: 'On, master password every day' },
+  { value: 7, label: 'On, master password every week' },
+  { value: 14, label: 'On, master password every 2 weeks' },
+  { value: 30, label: 'On, master password every 30 days' }
+];
+
+const SESSION_LIFETIMES = [
+  { value: 0, label: 'Never', description: 'Ask for the master password every time the app starts' },
+  { value: 15 * MINUTE, label: '15 minutes' },
+  { value: HOUR, label: '1 hour' },
+  { value: 8 * HOUR, label: '8 hours' },
+  { value: 24 * HOUR, label: '24 hours' },
+  { value: 7 * 24 * HOUR, label: '7 days' }
+];
+
+const HISTORY_RETENTIONS = [
+  { value: 0, label: 'Off', description: 'Changing a password forgets the old one' },
+  { value: 5, label: '5 passwords' },
+  { value: 10, label: '10 passwords' },
+  { value: 25, label: '25 passwords' },
+  { value: 50, label: '50 passwords' }
+];
+
+const CLIPBOARD_CLEAR_TIMES = [
+  { value: 15, label: '15 seconds' },
+  { value: 30, label: '30 seconds' },
+  { value: 60, label: '1 minute' },
+  { value: 120, label: '2 minutes' },
+  { value: 0, label: 'Only on lock', description: 'Copied values stay until the vault locks or you log out' }
+];
+
+const PASSWORD_MAX_AGES = [
+  { value: 3, label: '3 months' },
+  { value: 6, label: '6 months' },
+  { value: 12, label: '1 year' },
+  { value: 24, label: '2 years' }
+];
+
+const MIN_SCORE_DESCRIPTIONS = {
+  2: 'Guessable in days by a determined attacker',
+  3: 'Recommended',
+  4: 'Long passphrases or random passwords only'
+};
+
+const MIN_MASTER_PASSWORD_SCORES = [2, 3, 4].map(value => ({
+  value,
+  label: SCORE_LABELS[value],
+  description: MIN_SCORE_DESCRIPTIONS[value]
+}));
+
+export default function SettingsScreen({ navigation, keyPair }) {
+  const [settings, setSettings] = useState(null);
+  const [breachRangeUrl, setBreachRangeUrl] = useState('');
+
+  const [biometricEnabled, setBiometricEnabled] = useState(false);
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+
+  useEffect(() => {
+    getSettings().then(loaded => {
+      setSettings(loaded);
+      setBreachRangeUrl(loaded.breachRangeUrl);
+    });
+    isBiometricUnlockEnabled().then(setBiometricEnabled);
+    Promise.all([LocalAuthentication.hasHardwareAsync(), LocalAuthentication.isEnrolledAsync()])
+      .then(([compatible, enrolled]) => setBiometricAvailable(compatible && enrolled));
+  }, []);
+
+  const handleAutoLock = async (autoLock) => {
+    try {
+      setSettings(await updateSettings({ autoLock }));
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  const handleBiometricUnlock = async (biometricPasswordDays) => {
+    try {
+      if (biometricPasswordDays === 0) {
+        await disableBiometricUnlock();
+        setBiometricEnabled(false);
+        return;
+      }
+
+      if (!biometricEnabled) {
+        const enabled = await whileAutoLockPaused(async () => {
+          const result = await LocalAuthentication.authenticateAsync({
+            promptMessage: 'Enable biometric unlock',
+            cancelLabel: 'Cancel',
+            disableDeviceFallback: true
+          });
+          if (!result.success) return false;
+
+          const vaultData = await getVault();
+          await enableBiometricUnlock(keyPair.masterKey, new Uint8Array(vaultData.salt));
+          return true;
+        });
+        if (!enabled) return;
+        setBiometricEnabled(true);
+      }
+
+      setSettings(await updateSettings({ biometricPasswordDays }));
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update biometric unlock: ' + err.message);
+    }
+  };
+
+  const handleSessionLifetime = async (sessionLifetime) => {
+    try {
+      setSettings(await updateSettings({ sessionLifetime }));
+
+      // Re-persist (or drop) the current session under the new lifetime
+      await setSessionKeys(keyPair.masterKey, keyPair.dek);
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  // Applies the next time a master password is set, existing ones stay valid
+  const handleMinMasterPasswordScore = async (minMasterPasswordScore) => {
+    try {
+      setSettings(await updateSettings({ minMasterPasswordScore }));
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  const handleHistoryRetention = async (passwordHistoryRetention) => {
+    try {
+      setSettings(await updateSettings({ passwordHistoryRetention }));
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  const handleClipboardClear = async (clipboardClearSeconds) => {
+    try {
+      setSettings(await updateSettings({ clipboardClearSeconds }));
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  const handlePasswordMaxAge = async (passwordMaxAgeMonths) => {
+    try {
+      setSettings(await updateSettings({ passwordMaxAgeMonths }));
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  const handleBreachRangeUrl = async (value) => {
+    const rangeUrl = value.trim();
+    if (!isValidRangeUrl(rangeUrl)) {
+      Alert.alert('Invalid Endpoint', 'Enter an http(s):// URL the hash prefix can be appended to, for example ' + BREACH_RANGE_URL);
+      return;
+    }
+    if (!isSecureRangeUrl(rangeUrl)) {
+      Alert.alert(
+        'Unencrypted Endpoint',
+        'Hash prefixes would be sent over plain http to a host outside your local network. Use https unless this is a trusted internal mirror.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Use Anyway', style: 'destructive', onPress: () => saveBreachRangeUrl(rangeUrl) }
+        ]
+      );
+      return;
+    }
+    await saveBreachRangeUrl(rangeUrl);
+  };
+
+  const saveBreachRangeUrl = async (rangeUrl) => {
+    try {
+      setSettings(await updateSettings({ breachRangeUrl: rangeUrl }));
+      setBreachRangeUrl(rangeUrl);
+    } catch (err) {
+      Alert.alert('Error', 'Failed to update settings: ' + err.message);
+    }
+  };
+
+  const renderOption = (option, selected, onPress) => (
+    <TouchableOpacity
+      key={option.value}
+      onPress={onPress}
+      style={{
+        paddingVertical: 14,
+        paddingHorizontal: 16,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F0F0F0',
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12
+      }}
+    >
+      <View style={{
+        width: 20,
+        height: 20,
+        borderRadius: 10,
+        borderWidth: 2,
+        borderColor: selected ? '#1976D2' : '#BDBDBD',
+        justifyContent: 'center',
+        alignItems: 'center'
+      }}>
+        {selected && <View style={{ width: 10, height: 10, borderRadius: 5, backgroundColor: '#1976D2' }} />}
+      </View>
+      <View style={{ flex: 1 }}>
+        <Text style={{ fontSize: 15, color: '#212121', fontWeight: selected ? '600' : '400' }}>{option.label}</Text>
+        {option.description && (
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 2 }}>{option.description}</Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#F5F5F5' }}>
+      {/* Header */}
+      <LinearGradient
+        colors={['#1976D2', '#1565C0']}
+        style={{
+          paddingTop: Platform.OS === 'ios' ? 50 : 40,
+          paddingBottom: 20,
+          paddingHorizontal: 20,
+          flexDirection: 'row',
+          alignItems: 'center',
+          gap: 12
+        }}
+      >
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ padding: 4 }}>
+          <Text style={{ fontSize: 24, color: '#FFFFFF' }}>←</Text>
+        </TouchableOpacity>
+        <Text style={{ fontSize: 22, fontWeight: '700', color: '#FFFFFF' }}>Settings</Text>
+      </LinearGradient>
+
+      {settings && (
+        <ScrollView contentContainerStyle={{ padding: 20 }}>
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>
+            Auto-Lock
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+            {AUTO_LOCKS.map(option => renderOption(
+              option,
+              settings.autoLock === option.value,
+              () => handleAutoLock(option.value)
+            ))}
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Timed options count from your last touch, including time spent in other apps. Locking forgets the keys on this device, so the master password is needed again, even after a restart.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Biometric Unlock
+          </Text>
+          {biometricAvailable ? (
+            <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+              {BIOMETRIC_UNLOCK_OPTIONS.map(option => renderOption(
+                option,
+                (biometricEnabled ? settings.biometricPasswordDays : 0) === option.value,
+                () => handleBiometricUnlock(option.value)
+              ))}
+            </View>
+          ) : (
+            <Text style={{ fontSize: 14, color: '#757575' }}>
+              Set up fingerprint or face recognition on this device to use it.
+            </Text>
+          )}
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Your master key is stored on this device where only your biometrics can release it. It stops working when the master password changes or fingerprints/faces are added or removed, until you turn it on again.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Stay Unlocked After Restart
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+            {SESSION_LIFETIMES.map(option => renderOption(
+              option,
+              settings.sessionLifetime === option.value,
+              () => handleSessionLifetime(option.value)
+            ))}
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Your keys are kept on this device encrypted under a key that needs your fingerprint or face. Without biometrics set up, they are kept in memory only and a restart asks for the master password. After this time the master password is required again.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Clear Clipboard
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+            {CLIPBOARD_CLEAR_TIMES.map(option => renderOption(
+              option,
+              settings.clipboardClearSeconds === option.value,
+              () => handleClipboardClear(option.value)
+            ))}
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Anything copied from the vault is also cleared when it locks or you log out. Something else you copied in the meantime is never touched.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Minimum Master Password Strength
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+            {MIN_MASTER_PASSWORD_SCORES.map(option => renderOption(
+              option,
+              settings.minMasterPasswordScore === option.value,
+              () => handleMinMasterPasswordScore(option.value)
+            ))}
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Checked when you change your master password or reset it with your recovery key. Strength is estimated on this device.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Password History
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+            {HISTORY_RETENTIONS.map(option => renderOption(
+              option,
+              settings.passwordHistoryRetention === option.value,
+              () => handleHistoryRetention(option.value)
+            ))}
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Previous passwords are kept encrypted inside each item. A lower limit trims an item's history the next time it is edited.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Old Password Warning
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1 }}>
+            {PASSWORD_MAX_AGES.map(option => renderOption(
+              option,
+              settings.passwordMaxAgeMonths === option.value,
+              () => handlePasswordMaxAge(option.value)
+            ))}
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Vault Health lists passwords that have not been changed for this long.
+          </Text>
+
+          <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginTop: 24, marginBottom: 8 }}>
+            Breach Check Endpoint
+          </Text>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, elevation: 1, padding: 12, gap: 10 }}>
+            <TextInput
+              value={breachRangeUrl}
+              onChangeText={setBreachRangeUrl}
+              placeholder={BREACH_RANGE_URL}
+              placeholderTextColor="#9E9E9E"
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+              style={{
+                backgroundColor: '#FAFAFA',
+                borderWidth: 1,
+                borderColor: '#E0E0E0',
+                borderRadius: 8,
+                paddingHorizontal: 12,
+                paddingVertical: 10,
+                fontSize: 14,
+                color: '#212121'
+              }}
+            />
+            <View style={{ flexDirection: 'row', gap: 10 }}>
+              <TouchableOpacity
+                disabled={breachRangeUrl.trim() === settings.breachRangeUrl}
+                onPress={() => handleBreachRangeUrl(breachRangeUrl)}
+                style={{
+                  flex: 1,
+                  paddingVertical: 10,
+                  borderRadius: 8,
+                  alignItems: 'center',
+                  backgroundColor: breachRangeUrl.trim() === settings.breachRangeUrl ? '#BDBDBD' : '#1976D2'
+                }}
+              >
+                <Text style={{ fontSize: 14, fontWeight: '600', color: '#FFFFFF' }}>Save</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                disabled={settings.breachRangeUrl === BREACH_RANGE_URL}
+                onPress={() => handleBreachRangeUrl(BREACH_RANGE_URL)}
+                style={{ flex: 1, paddingVertical: 10, borderRadius: 8, alignItems: 'center', borderWidth: 1, borderColor: '#E0E0E0' }}
+              >
+                <Text style={{ fontSize: 14, fontWeight: '600', color: settings.breachRangeUrl === BREACH_RANGE_URL ? '#BDBDBD' : '#1976D2' }}>Use Default</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            Have I Been Pwned compatible range API used by the breach check. Point it at a mirror or local stub to keep even the hash prefixes inside your network; plain http is meant for local and private hosts only.
+          </Text>
+        </ScrollView>
+      )}
+    </View>
+  );
+}
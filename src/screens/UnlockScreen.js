@@ -14,41 +14,147 @@ import { LinearGradient } from 'expo-linear-gradient';
 import * as LocalAuthentication from 'expo-local-authentication';
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system';
-import { getSalt, setSessionKeys, getVault, clearAllData, setSalt, setVault } from '../utils/storage';
+import {
+  getSalt,
+  setSessionKeys,
+  getVault,
+  clearAllData,
+  setSalt,
+  setVault,
+  setVaultLastModified,
+  getSettings,
+  getBiometricUnlockStatus,
+  getBiometricMasterKey,
+  refreshBiometricUnlock,
+  disableBiometricUnlock
+} from '../utils/storage';
 import { api } from '../utils/api';
-import { deriveKey, decryptDEK, parseRecoveryKey } from '../vault/crypto';
+import {
+  parseRecoveryKey,
+  isLegacyRecoveryKey,
+  decodeRecoveryKey,
+  encodeRecoveryKey,
+  generateRecoverySecret,
+  encryptDEKWithRecoveryKey,
+  decryptDEKWithRecoveryKey,
+  rewrapDEK,
+  decryptDEK,
+  unwrapDEKWithPassword,
+  kdfForNewPassword,
+  isKdfOutdated,
+  kdfUpgradeTarget,
+  KdfUnavailableError
+} from '../vault/crypto';
+import { parseSyncBlob, toSyncBlob, envelopeContext, recoveryContext, currentContext } from '../vault/envelope';
+import { useSync } from '../vault/sync';
+import { validateMasterPassword } from '../utils/validation';
+import { saveRecoveryKeyFile } from '../utils/recoveryKeyFile';
+import { whileAutoLockPaused } from '../utils/useAutoLock';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 
 export default function UnlockScreen({ email, onUnlock, onLogout }) {
   const [masterPassword, setMasterPassword] = useState('');
   const [loading, setLoading] = useState(false);
-  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [biometricStatus, setBiometricStatus] = useState('disabled');
   const [useRecoveryKey, setUseRecoveryKey] = useState(false);
   const [recoveryKey, setRecoveryKey] = useState('');
+  const [recoveredDEK, setRecoveredDEK] = useState(null);
+  const [newMasterPassword, setNewMasterPassword] = useState('');
+  const [confirmNewMasterPassword, setConfirmNewMasterPassword] = useState('');
+  const { pushToRemote, pullFromRemote } = useSync();
 
   useEffect(() => {
     checkBiometrics();
   }, []);
 
+  // Only offered once enabled in Settings, and while the master password
+  // is not due
   const checkBiometrics = async () => {
     const compatible = await LocalAuthentication.hasHardwareAsync();
     const enrolled = await LocalAuthentication.isEnrolledAsync();
-    setBiometricAvailable(compatible && enrolled);
+    if (!compatible || !enrolled) {
+      setBiometricStatus('disabled');
+      return;
+    }
+
+    const vaultData = await getVault();
+    const status = await getBiometricUnlockStatus(vaultData ? new Uint8Array(vaultData.salt) : null);
+    if (status === 'invalidated') {
+      await disableBiometricUnlock();
+      setBiometricStatus('disabled');
+      return;
+    }
+    setBiometricStatus(status);
   };
 
   const handleBiometricUnlock = async () => {
+    setLoading(true);
     try {
-      const result = await LocalAuthentication.authenticateAsync({
-        promptMessage: 'Unlock PassVault',
-        fallbackLabel: 'Use Password',
-        cancelLabel: 'Cancel'
-      });
+      // Pick up a master password change made on another device (no-op offline)
+      const refreshed = await pullFromRemote();
+      const vaultData = await getVault();
+      if (!vaultData) {
+        setBiometricStatus('disabled');
+        return;
+      }
+
+      const salt = new Uint8Array(vaultData.salt);
+      const status = await getBiometricUnlockStatus(salt);
+      if (status === 'expired') {
+        setBiometricStatus('expired');
+        Alert.alert('Master Password Required', 'For your security, enter your master password. Biometric unlock works again afterwards.');
+        return;
+      }
+      if (status !== 'ready') {
+        setBiometricStatus('disabled');
+        if (status === 'invalidated') {
+          await disableBiometricUnlock();
+          Alert.alert(
+            'Master Password Required',
+            (refreshed.keysChanged ? 'Your master password was changed on another device. ' : 'Your master password has changed. ') +
+              'Enter it, then turn biometric unlock on again in Settings.'
+          );
+        }
+        return;
+      }
 
-      if (result.success) {
-        // After biometric auth, still need to unlock with actual keys
-        Alert.alert('Biometric Success', 'Please enter your master password to unlock vault');
+      let masterKey;
+      try {
+        masterKey = await getBiometricMasterKey();
+      } catch (err) {
+        // Cancelled prompt
+        console.log('Biometric unlock cancelled:', err.message);
+        return;
       }
+      if (!masterKey) {
+        setBiometricStatus('disabled');
+        Alert.alert('Biometric Unlock Disabled', 'Your fingerprints or face changed on this device. Enter your master password, then turn biometric unlock on again in Settings.');
+        return;
+      }
+
+      let dek;
+      try {
+        dek = await decryptDEK(
+          new Uint8Array(vaultData.encryptedDEK),
+          new Uint8Array(vaultData.dekIV),
+          masterKey,
+          envelopeContext(email, vaultData)
+        );
+      } catch (err) {
+        // Stored key no longer opens this envelope
+        await disableBiometricUnlock();
+        setBiometricStatus('disabled');
+        Alert.alert('Master Password Required', 'Biometric unlock no longer matches this vault. Enter your master password, then turn biometric unlock on again in Settings.');
+        return;
+      }
+
+      await setSessionKeys(masterKey, dek);
+      onUnlock({ masterKey, dek });
     } catch (err) {
-      Alert.alert('Error', 'Biometric authentication failed');
+      console.error('Biometric unlock error:', err);
+      Alert.alert('Error', 'Biometric unlock failed');
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -59,10 +165,20 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
     }
 
     setLoading(true);
+    let keysChangedRemotely = false;
     try {
       let salt = await getSalt();
       let vaultData = await getVault();
       
+      if (salt && vaultData) {
+        // Pick up a master password change made on another device (no-op offline)
+        const refreshed = await pullFromRemote();
+        if (refreshed.success && refreshed.updated) {
+          vaultData = await getVault();
+          keysChangedRemotely = !!refreshed.keysChanged;
+        }
+      }
+
       // If no local data, try to pull from server
       if (!salt || !vaultData) {
         console.log('No local vault data found, pulling from server...');
@@ -72,30 +188,22 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
           
           if (serverVault && serverVault.encryptedBlob) {
             // Handle encrypted_blob - it might be a Buffer, string, or object
-            let blob = serverVault.encryptedBlob;
-            
-            // If it's a Buffer object from PostgreSQL
-            if (blob && blob.type === 'Buffer' && Array.isArray(blob.data)) {
-              console.log('Converting Buffer to string...');
-              // Convert byte array to string
-              const jsonString = String.fromCharCode(...blob.data);
-              blob = JSON.parse(jsonString);
-            } else if (typeof blob === 'string') {
-              // If it's already a string, parse it
-              try {
-                blob = JSON.parse(blob);
-              } catch (parseErr) {
-                console.error('Failed to parse blob:', parseErr);
-                throw new Error('Invalid vault data format from server');
-              }
+            let blob;
+            try {
+              blob = parseSyncBlob(serverVault.encryptedBlob);
+            } catch (parseErr) {
+              console.error('Failed to parse blob:', parseErr);
+              throw new Error('Invalid vault data format from server');
             }
             
             console.log('Blob data received:', {
               hasEncryptedVault: !!blob.encryptedVault,
               hasVaultIV: !!blob.vaultIV,
+              itemRecords: blob.records ? blob.records.length : 0,
               hasEncryptedDEK: !!blob.encryptedDEK,
               hasDekIV: !!blob.dekIV,
-              hasSalt: !!blob.salt
+              hasSalt: !!blob.salt,
+              kdf: blob.kdf || 'legacy'
             });
             
             // Validate that all required fields are present
@@ -111,11 +219,7 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
             
             // Store locally
             vaultData = {
-              encryptedVault: blob.encryptedVault,
-              vaultIV: blob.vaultIV,
-              encryptedDEK: blob.encryptedDEK,
-              dekIV: blob.dekIV,
-              salt: blob.salt,
+              ...toSyncBlob(blob),
               version: serverVault.version
             };
             
@@ -140,25 +244,53 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
         }
       }
       
+      // The envelope's salt always matches its KDF descriptor and wrapped DEK
+      if (vaultData && vaultData.salt) {
+        salt = new Uint8Array(vaultData.salt);
+      }
+
       if (!salt) {
         Alert.alert('Error', 'No vault found. Please register first or sync from another device.');
         setLoading(false);
         return;
       }
 
-      // Derive master key from password
-      const masterKey = await deriveKey(masterPassword, salt);
-
       if (!vaultData) {
         Alert.alert('Error', 'No vault data found');
         setLoading(false);
         return;
       }
 
-      // Decrypt DEK
+      // Derive master key with the KDF recorded in the envelope and decrypt DEK
       const encryptedDEK = new Uint8Array(vaultData.encryptedDEK);
       const dekIV = new Uint8Array(vaultData.dekIV);
-      const dek = await decryptDEK(encryptedDEK, dekIV, masterKey);
+      const unlocked = await unwrapDEKWithPassword(
+        masterPassword,
+        salt,
+        encryptedDEK,
+        dekIV,
+        vaultData.kdf,
+        envelopeContext(email, vaultData)
+      );
+      const { dek, kdf } = unlocked;
+      let masterKey = unlocked.masterKey;
+
+      // A biometric key stored under a previous master password is dropped
+      if (await getBiometricUnlockStatus(salt) === 'invalidated') {
+        await disableBiometricUnlock();
+      }
+
+      // Move vault to current parameters of its KDF while we still have the password
+      if (isKdfOutdated(kdf)) {
+        masterKey = await upgradeKdf(vaultData, dek, masterKey, kdfUpgradeTarget(kdf));
+      } else if (!vaultData.kdf) {
+        // Legacy envelope: record which KDF it turned out to use
+        await saveEnvelope({ ...vaultData, kdf });
+      }
+
+      // The password was just entered: biometric unlock starts a new period
+      // (and follows the new master key after a KDF upgrade)
+      await refreshBiometricUnlock(masterKey, new Uint8Array((await getVault()).salt));
 
       // Store session keys
       await setSessionKeys(masterKey, dek);
@@ -167,12 +299,51 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
       onUnlock({ masterKey, dek });
     } catch (err) {
       console.error('Unlock error:', err);
-      Alert.alert('Unlock Failed', 'Invalid password or corrupted vault data');
+      if (err instanceof KdfUnavailableError) {
+        Alert.alert('Unsupported Device', err.message + '\n\nThis vault was created with a key derivation function this device cannot run.');
+      } else if (keysChangedRemotely) {
+        Alert.alert('Master Password Changed', 'Your master password was changed on another device. Please enter the new master password.');
+      } else {
+        Alert.alert('Unlock Failed', 'Invalid password or corrupted vault data');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const saveEnvelope = async (updatedVault) => {
+    const lastModified = new Date().toISOString();
+
+    await setVault(updatedVault);
+    await setSalt(new Uint8Array(updatedVault.salt));
+    await setVaultLastModified(lastModified);
+
+    const result = await pushToRemote(toSyncBlob(updatedVault), lastModified);
+    if (!result.success) {
+      console.error('Failed to sync vault envelope:', result.error);
+    }
+  };
+
+  const upgradeKdf = async (vaultData, dek, currentMasterKey, targetKdf) => {
+    try {
+      const { masterKey, encryptedDEK, dekIV, salt, kdf } = await rewrapDEK(dek, masterPassword, targetKdf, envelopeContext(email, vaultData));
+
+      await saveEnvelope({
+        ...vaultData,
+        encryptedDEK: Array.from(encryptedDEK),
+        dekIV: Array.from(dekIV),
+        salt: Array.from(salt),
+        kdf
+      });
+      console.log('✓ Vault KDF upgraded');
+      return masterKey;
+    } catch (err) {
+      // Old parameters still work, retry on next unlock
+      console.error('KDF upgrade failed:', err);
+      return currentMasterKey;
+    }
+  };
+
   const handleRecoveryKeyUnlock = async () => {
     if (!recoveryKey) {
       Alert.alert('Error', 'Please enter your recovery key');
@@ -181,17 +352,6 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
 
     setLoading(true);
     try {
-      const { email: recoveryEmail, password, salt } = parseRecoveryKey(recoveryKey);
-
-      if (recoveryEmail !== email) {
-        Alert.alert('Error', 'Recovery key does not match this account');
-        setLoading(false);
-        return;
-      }
-
-      // Derive master key from recovered password
-      const masterKey = await deriveKey(password, salt);
-
       // Get vault data
       const vaultData = await getVault();
       if (!vaultData) {
@@ -200,15 +360,50 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
         return;
       }
 
-      // Decrypt DEK
-      const encryptedDEK = new Uint8Array(vaultData.encryptedDEK);
-      const dekIV = new Uint8Array(vaultData.dekIV);
-      const dek = await decryptDEK(encryptedDEK, dekIV, masterKey);
+      let dek;
+      if (isLegacyRecoveryKey(recoveryKey)) {
+        // Legacy key: base64(email|password|salt). Unlock with the embedded
+        // password; the vault is migrated to a new recovery key below
+        const { email: recoveryEmail, password, salt } = parseRecoveryKey(recoveryKey);
 
-      // Store session keys
-      await setSessionKeys(masterKey, dek);
+        if (recoveryEmail !== email) {
+          Alert.alert('Error', 'Recovery key does not match this account');
+          setLoading(false);
+          return;
+        }
 
-      onUnlock({ masterKey, dek });
+        // The envelope's salt wins over the one in the recovery key, which is
+        // stale after a KDF upgrade
+        const envelopeSalt = vaultData.salt ? new Uint8Array(vaultData.salt) : salt;
+        const encryptedDEK = new Uint8Array(vaultData.encryptedDEK);
+        const dekIV = new Uint8Array(vaultData.dekIV);
+        ({ dek } = await unwrapDEKWithPassword(
+          password,
+          envelopeSalt,
+          encryptedDEK,
+          dekIV,
+          vaultData.kdf,
+          envelopeContext(email, vaultData)
+        ));
+      } else {
+        if (!vaultData.recoveryDEK) {
+          Alert.alert('Error', 'This vault has no recovery key set up');
+          setLoading(false);
+          return;
+        }
+
+        const secret = decodeRecoveryKey(recoveryKey);
+        dek = await decryptDEKWithRecoveryKey(
+          new Uint8Array(vaultData.recoveryDEK),
+          new Uint8Array(vaultData.recoveryIV),
+          secret,
+          recoveryContext(email, vaultData)
+        );
+      }
+
+      // A new master password is required before the vault opens
+      setRecoveredDEK(dek);
+      setRecoveryKey('');
     } catch (err) {
       Alert.alert('Recovery Failed', err.message);
     } finally {
@@ -216,17 +411,81 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
     }
   };
 
+  const handleSetNewMasterPassword = async () => {
+    if (!newMasterPassword || !confirmNewMasterPassword) {
+      Alert.alert('Error', 'Please fill in all fields');
+      return;
+    }
+
+    const { minMasterPasswordScore } = await getSettings();
+    const passwordError = validateMasterPassword(newMasterPassword, confirmNewMasterPassword, {
+      minScore: minMasterPasswordScore,
+      userInputs: [email]
+    });
+    if (passwordError) {
+      Alert.alert('Error', passwordError);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const vaultData = await getVault();
+      // Keep the vault's KDF algorithm: other devices may only run that one
+      const kdf = await kdfForNewPassword(vaultData.kdf);
+      const { masterKey, encryptedDEK, dekIV, salt } = await rewrapDEK(recoveredDEK, newMasterPassword, kdf, envelopeContext(email, vaultData));
+
+      let updatedVault = {
+        ...vaultData,
+        encryptedDEK: Array.from(encryptedDEK),
+        dekIV: Array.from(dekIV),
+        salt: Array.from(salt),
+        kdf
+      };
+
+      // Legacy vaults have no recovery copy of the DEK yet. Create one so the
+      // old key file (which contains a master password) can be destroyed
+      if (!vaultData.recoveryDEK) {
+        const secret = generateRecoverySecret();
+        const context = currentContext(email);
+        const { recoveryDEK, recoveryIV } = await encryptDEKWithRecoveryKey(recoveredDEK, secret, context);
+        updatedVault = {
+          ...updatedVault,
+          recoveryDEK: Array.from(recoveryDEK),
+          recoveryIV: Array.from(recoveryIV),
+          recoveryFormat: context.format
+        };
+        // Save the file first: once committed, only the new key works
+        if (!(await saveRecoveryKeyFile(email, encodeRecoveryKey(secret)))) {
+          Alert.alert('Master Password Not Set', 'The new recovery key was not saved. Nothing was changed: your old recovery key still works.');
+          return;
+        }
+      }
+
+      await saveEnvelope(updatedVault);
+      await disableBiometricUnlock();
+      await setSessionKeys(masterKey, recoveredDEK);
+
+      onUnlock({ masterKey, dek: recoveredDEK });
+    } catch (err) {
+      console.error('Set new master password error:', err);
+      Alert.alert('Error', 'Failed to set new master password: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const pickRecoveryKeyFile = async () => {
     try {
-      const result = await DocumentPicker.getDocumentAsync({
+      // Like every system sheet, the picker must not count as leaving the app
+      const result = await whileAutoLockPaused(() => DocumentPicker.getDocumentAsync({
         type: 'text/plain',
         copyToCacheDirectory: false
-      });
+      }));
 
       if (!result.canceled && result.assets && result.assets[0]) {
         const content = await FileSystem.readAsStringAsync(result.assets[0].uri);
         // Extract recovery key from file
-        const keyMatch = content.match(/Recovery Key:\s*([A-Za-z0-9+/=]+)/);
+        const keyMatch = content.match(/Recovery Key:\s*([A-Za-z0-9+/=-]+)/);
         if (keyMatch) {
           setRecoveryKey(keyMatch[1]);
           Alert.alert('Success', 'Recovery key loaded from file');
@@ -286,32 +545,99 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
             </View>
 
             {/* Toggle Master Password / Recovery Key */}
-            <View style={{ flexDirection: 'row', marginBottom: 24, backgroundColor: '#F3F4F6', borderRadius: 12, padding: 4 }}>
-              <TouchableOpacity
-                onPress={() => setUseRecoveryKey(false)}
-                style={{
-                  flex: 1,
-                  paddingVertical: 10,
-                  borderRadius: 8,
-                  backgroundColor: !useRecoveryKey ? '#4F46E5' : 'transparent'
-                }}
-              >
-                <Text style={{ textAlign: 'center', color: !useRecoveryKey ? 'white' : '#6B7280', fontWeight: '600', fontSize: 13 }}>Password</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                onPress={() => setUseRecoveryKey(true)}
-                style={{
-                  flex: 1,
-                  paddingVertical: 10,
-                  borderRadius: 8,
-                  backgroundColor: useRecoveryKey ? '#4F46E5' : 'transparent'
-                }}
-              >
-                <Text style={{ textAlign: 'center', color: useRecoveryKey ? 'white' : '#6B7280', fontWeight: '600', fontSize: 13 }}>Recovery Key</Text>
-              </TouchableOpacity>
-            </View>
+            {!recoveredDEK && (
+              <View style={{ flexDirection: 'row', marginBottom: 24, backgroundColor: '#F3F4F6', borderRadius: 12, padding: 4 }}>
+                <TouchableOpacity
+                  onPress={() => setUseRecoveryKey(false)}
+                  style={{
+                    flex: 1,
+                    paddingVertical: 10,
+                    borderRadius: 8,
+                    backgroundColor: !useRecoveryKey ? '#4F46E5' : 'transparent'
+                  }}
+                >
+                  <Text style={{ textAlign: 'center', color: !useRecoveryKey ? 'white' : '#6B7280', fontWeight: '600', fontSize: 13 }}>Password</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => setUseRecoveryKey(true)}
+                  style={{
+                    flex: 1,
+                    paddingVertical: 10,
+                    borderRadius: 8,
+                    backgroundColor: useRecoveryKey ? '#4F46E5' : 'transparent'
+                  }}
+                >
+                  <Text style={{ textAlign: 'center', color: useRecoveryKey ? 'white' : '#6B7280', fontWeight: '600', fontSize: 13 }}>Recovery Key</Text>
+                </TouchableOpacity>
+              </View>
+            )}
 
-            {!useRecoveryKey ? (
+            {recoveredDEK ? (
+              <>
+                {/* New Master Password (required after recovery) */}
+                <View style={{ backgroundColor: '#FEF3C7', borderWidth: 1, borderColor: '#F59E0B', borderRadius: 10, padding: 12, marginBottom: 16 }}>
+                  <Text style={{ fontSize: 12, fontWeight: '600', color: '#92400E', marginBottom: 4 }}>✓ Recovery key accepted</Text>
+                  <Text style={{ fontSize: 11, color: '#78350F' }}>Choose a new master password to finish unlocking your vault.</Text>
+                </View>
+
+                <View style={{ marginBottom: 16 }}>
+                  <Text style={{ fontSize: 12, fontWeight: '500', color: '#374151', marginBottom: 6 }}>New Master Password</Text>
+                  <TextInput
+                    value={newMasterPassword}
+                    onChangeText={setNewMasterPassword}
+                    placeholder="Min 12 characters"
+                    secureTextEntry={true}
+                    style={{
+                      backgroundColor: '#F9FAFB',
+                      borderWidth: 1,
+                      borderColor: '#E5E7EB',
+                      borderRadius: 10,
+                      paddingHorizontal: 14,
+                      paddingVertical: 12,
+                      fontSize: 14
+                    }}
+                  />
+                  <PasswordStrengthMeter password={newMasterPassword} userInputs={[email]} />
+                </View>
+
+                <View style={{ marginBottom: 16 }}>
+                  <Text style={{ fontSize: 12, fontWeight: '500', color: '#374151', marginBottom: 6 }}>Confirm New Master Password</Text>
+                  <TextInput
+                    value={confirmNewMasterPassword}
+                    onChangeText={setConfirmNewMasterPassword}
+                    placeholder="Re-enter new master password"
+                    secureTextEntry={true}
+                    style={{
+                      backgroundColor: '#F9FAFB',
+                      borderWidth: 1,
+                      borderColor: '#E5E7EB',
+                      borderRadius: 10,
+                      paddingHorizontal: 14,
+                      paddingVertical: 12,
+                      fontSize: 14
+                    }}
+                  />
+                </View>
+
+                <TouchableOpacity
+                  onPress={handleSetNewMasterPassword}
+                  disabled={loading}
+                  style={{
+                    backgroundColor: '#4F46E5',
+                    borderRadius: 10,
+                    paddingVertical: 14
+                  }}
+                >
+                  {loading ? (
+                    <ActivityIndicator color="white" />
+                  ) : (
+                    <Text style={{ textAlign: 'center', color: 'white', fontWeight: '700', fontSize: 16 }}>
+                      Set Password & Unlock
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </>
+            ) : !useRecoveryKey ? (
               <>
                 {/* Master Password Unlock */}
                 <View style={{ marginBottom: 16 }}>
@@ -353,9 +679,10 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
                 </TouchableOpacity>
 
                 {/* Biometric Unlock */}
-                {biometricAvailable && (
+                {biometricStatus === 'ready' && (
                   <TouchableOpacity
                     onPress={handleBiometricUnlock}
+                    disabled={loading}
                     style={{
                       backgroundColor: '#10B981',
                       borderRadius: 10,
@@ -367,6 +694,11 @@ export default function UnlockScreen({ email, onUnlock, onLogout }) {
                     </Text>
                   </TouchableOpacity>
                 )}
+                {biometricStatus === 'expired' && (
+                  <Text style={{ fontSize: 12, color: '#6B7280', textAlign: 'center' }}>
+                    Enter your master password to keep using biometric unlock
+                  </Text>
+                )}
               </>
             ) : (
               <>
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Platform
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { openVault } from '../vault/items';
+import { envelopeContext } from '../vault/envelope';
+import { getItemType, migrateItems } from '../vault/itemTypes';
+import { analyzeVault, findBreached, healthLabel, HEALTH_CHECKS } from '../vault/health';
+import { createBreachChecker } from '../vault/breach';
+import { getVault, getSettings } from '../utils/storage';
+
+const SCORE_COLORS = {
+  Excellent: '#2E7D32',
+  Good: '#558B2F',
+  Fair: '#EF6C00',
+  Poor: '#C62828'
+};
+
+// Decrypts its own copy of the vault and analyzes it on the device. Tapping
+// an item goes back to the Vault screen with the item open for editing
+export default function VaultHealthScreen({ navigation, email, keyPair }) {
+  const [items, setItems] = useState(null);
+  const [maxAgeMonths, setMaxAgeMonths] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [breached, setBreached] = useState(null); // null until checked
+  const [checkingBreaches, setCheckingBreaches] = useState(false);
+  const [breachRangeUrl, setBreachRangeUrl] = useState(null);
+  const breachChecker = useMemo(
+    () => (breachRangeUrl ? createBreachChecker({ rangeUrl: breachRangeUrl }) : null),
+    [breachRangeUrl]
+  );
+
+  const loadVault = async () => {
+    try {
+      const vaultData = await getVault();
+      const settings = await getSettings();
+      const loaded = vaultData
+        ? await openVault(vaultData, keyPair.dek, envelopeContext(email, vaultData))
+        : [];
+      setItems(migrateItems(loaded).items);
+      setBreached(null);
+      setMaxAgeMonths(settings.passwordMaxAgeMonths);
+      setBreachRangeUrl(settings.breachRangeUrl);
+    } catch (err) {
+      console.error('Failed to decrypt vault:', err);
+      Alert.alert('Error', 'Failed to decrypt vault');
+      setItems([]);
+    }
+  };
+
+  useEffect(() => {
+    loadVault();
+  }, [keyPair]);
+
+  const report = useMemo(
+    () => (items ? analyzeVault(items, { maxAgeMonths, userInputs: [email], breached }) : null),
+    [items, maxAgeMonths, email, breached]
+  );
+
+  const handleCheckBreaches = async () => {
+    setCheckingBreaches(true);
+    try {
+      const issues = await findBreached(items, breachChecker);
+      setBreached(issues);
+      if (issues.length > 0) setExpanded('breached');
+    } catch (err) {
+      Alert.alert('Breach Check Failed', err.message);
+    } finally {
+      setCheckingBreaches(false);
+    }
+  };
+
+  const renderIssue = (key, issue) => (
+    <TouchableOpacity
+      key={`${key}:${issue.item.id}:${issue.field || ''}`}
+      onPress={() => navigation.popTo('Vault', { editItemId: issue.item.id })}
+      style={{
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderTopWidth: 1,
+        borderTopColor: '#F0F0F0',
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12
+      }}
+    >
+      <Text style={{ fontSize: 18 }}>{getItemType(issue.item).icon}</Text>
+      <View style={{ flex: 1 }}>
+        <Text style={{ fontSize: 15, color: '#212121', fontWeight: '500' }} numberOfLines={1}>
+          {issue.item.name || 'Untitled'}
+        </Text>
+        <Text style={{ fontSize: 12, color: '#757575', marginTop: 2 }} numberOfLines={1}>{issue.detail}</Text>
+      </View>
+      <Text style={{ fontSize: 13, fontWeight: '600', color: '#1976D2' }}>Edit ›</Text>
+    </TouchableOpacity>
+  );
+
+  const renderCheck = (key) => {
+    const check = HEALTH_CHECKS[key];
+    const issues = report.checks[key];
+    const open = expanded === key;
+
+    if (key === 'breached' && breached === null) {
+      return (
+        <View key={key} style={{ backgroundColor: '#FFFFFF', borderRadius: 8, elevation: 1, marginBottom: 12, padding: 16, flexDirection: 'row', alignItems: 'center', gap: 12 }}>
+          <Text style={{ fontSize: 20 }}>{check.icon}</Text>
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontSize: 15, fontWeight: '600', color: '#212121' }}>{check.label}</Text>
+            <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 2 }}>
+              Only the first 5 characters of each password's SHA-1 hash are sent
+            </Text>
+          </View>
+          {checkingBreaches ? (
+            <ActivityIndicator color="#1976D2" />
+          ) : (
+            <TouchableOpacity
+              onPress={handleCheckBreaches}
+              style={{ paddingHorizontal: 14, paddingVertical: 8, borderRadius: 8, backgroundColor: '#1976D2' }}
+            >
+              <Text style={{ fontSize: 13, fontWeight: '600', color: '#FFFFFF' }}>Check</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      );
+    }
+
+    return (
+      <View key={key} style={{ backgroundColor: '#FFFFFF', borderRadius: 8, overflow: 'hidden', elevation: 1, marginBottom: 12 }}>
+        <TouchableOpacity
+          disabled={issues.length === 0}
+          onPress={() => setExpanded(open ? null : key)}
+          style={{ padding: 16, flexDirection: 'row', alignItems: 'center', gap: 12 }}
+        >
+          <Text style={{ fontSize: 20 }}>{issues.length === 0 ? '✅' : check.icon}</Text>
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontSize: 15, fontWeight: '600', color: '#212121' }}>{check.label}</Text>
+            <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 2 }}>{check.description}</Text>
+          </View>
+          <Text style={{ fontSize: 16, fontWeight: '700', color: issues.length === 0 ? '#2E7D32' : '#C62828' }}>
+            {issues.length}
+          </Text>
+          {issues.length > 0 && (
+            <Text style={{ fontSize: 12, color: '#9E9E9E' }}>{open ? '▲' : '▼'}</Text>
+          )}
+        </TouchableOpacity>
+        {open && issues.map(issue => renderIssue(key, issue))}
+      </View>
+    );
+  };
+
+  const label = report ? healthLabel(report.score) : null;
+
+  return (
+    <View style={{ flex: 1, backgroundColor: '#F5F5F5' }}>
+      {/* Header */}
+      <LinearGradient
+        colors={['#1976D2', '#1565C0']}
+        style={{
+          paddingTop: Platform.OS === 'ios' ? 50 : 40,
+          paddingBottom: 20,
+          paddingHorizontal: 20,
+          flexDirection: 'row',
+          alignItems: 'center',
+          gap: 12
+        }}
+      >
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ padding: 4 }}>
+          <Text style={{ fontSize: 24, color: '#FFFFFF' }}>←</Text>
+        </TouchableOpacity>
+        <Text style={{ fontSize: 22, fontWeight: '700', color: '#FFFFFF' }}>Vault Health</Text>
+      </LinearGradient>
+
+      {!report ? (
+        <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
+          <ActivityIndicator size="large" color="#1976D2" />
+          <Text style={{ marginTop: 12, color: '#6B7280' }}>Analyzing Vault...</Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={{ padding: 20 }}>
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, elevation: 1, padding: 24, alignItems: 'center', marginBottom: 20 }}>
+            <Text style={{ fontSize: 48, fontWeight: '700', color: SCORE_COLORS[label] }}>{report.score}</Text>
+            <Text style={{ fontSize: 16, fontWeight: '600', color: SCORE_COLORS[label], marginTop: 4 }}>{label}</Text>
+            <Text style={{ fontSize: 13, color: '#757575', marginTop: 8 }}>
+              {report.healthyItems} of {report.totalItems} items have no issues
+            </Text>
+          </View>
+
+          {Object.keys(HEALTH_CHECKS).map(renderCheck)}
+
+          <Text style={{ fontSize: 12, color: '#9E9E9E', marginTop: 8, lineHeight: 18 }}>
+            The report is computed on this device from your decrypted vault; nothing is sent to the server. The breach check sends hash prefixes only, and only when you ask. Old passwords are those unchanged for {maxAgeMonths} months or more (change this in Settings).
+          </Text>
+        </ScrollView>
+      )}
+    </View>
+  );
+}
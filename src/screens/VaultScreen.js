@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useDeferredValue } from 'react';
 import {
   View,
   Text,
@@ -9,38 +9,213 @@ import {
   ActivityIndicator,
   Modal,
   FlatList,
+  Switch,
   Platform
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import * as Clipboard from 'expo-clipboard';
 import { useSync } from '../vault/sync';
-import { encryptVault, decryptVault } from '../vault/crypto';
-import { getVault, setVault, getVaultLastModified, setVaultLastModified, clearSessionKeys } from '../utils/storage';
+import {
+  encryptDEK,
+  decryptDEK,
+  ENVELOPE_FORMAT,
+  generateRecoverySecret,
+  encodeRecoveryKey,
+  encryptDEKWithRecoveryKey
+} from '../vault/crypto';
+import { openVault, sealVault, rotateDEK } from '../vault/items';
+import { toSyncBlob, hasKeyChanged, envelopeContext, currentContext } from '../vault/envelope';
+import {
+  ITEM_TYPES,
+  CUSTOM_FIELD_KINDS,
+  newCustomField,
+  customFieldText,
+  getItemType,
+  emptyItem,
+  itemFormValues,
+  validateItem,
+  itemSubtitle,
+  migrateItems
+} from '../vault/itemTypes';
+import {
+  ALL_ITEMS,
+  UNFILED,
+  listFolders,
+  listTags,
+  normalizeFolder,
+  parseTags,
+  filterItems,
+  renameFolder,
+  deleteFolder
+} from '../vault/folders';
+import { SORT_MODES, DEFAULT_SORT_MODE, sortItems, recordUse, countsAsUse } from '../vault/sort';
+import { withPasswordHistory, historyLabel } from '../vault/history';
+import { buildSearchIndex, searchItems } from '../vault/search';
+import { findBreached } from '../vault/health';
+import { createBreachChecker } from '../vault/breach';
+import { getVault, setVault, getVaultLastModified, setVaultLastModified, setSessionKeys, clearSessionKeys, getSettings, updateSettings } from '../utils/storage';
+import { saveRecoveryKeyFile } from '../utils/recoveryKeyFile';
+import { copySecret } from '../utils/clipboard';
+import { captureActivity } from '../utils/useAutoLock';
+import PasswordGenerator from '../components/PasswordGenerator';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import HighlightedText from '../components/HighlightedText';
+import TotpCode from '../components/TotpCode';
+import ClipboardToast from '../components/ClipboardToast';
+
+// Usage stats are saved this long after the last copy, unless a normal save
+// takes them along first
+const USAGE_SAVE_DELAY = 10000;
+
+const KEYBOARD_TYPES = {
+  url: 'url',
+  email: 'email-address',
+  number: 'number-pad'
+};
+
+const FIELD_INPUT_STYLE = {
+  backgroundColor: '#FAFAFA',
+  borderWidth: 1,
+  borderColor: '#E0E0E0',
+  borderRadius: 8,
+  paddingHorizontal: 16,
+  paddingVertical: 14,
+  fontSize: 15,
+  color: '#212121'
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
 
-export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
+// A line of the note around its first search match
+function noteSnippet(note, ranges) {
+  const first = Math.min(...ranges.map(([start]) => start));
+  const from = Math.max(0, first - 20);
+  const prefix = from > 0 ? '…' : '';
+  const shift = prefix.length - from;
+  return {
+    text: prefix + note.slice(from).replace(/[\r\n\t]/g, ' '),
+    ranges: ranges.map(([start, end]) => [start + shift, end + shift]).filter(([start]) => start >= prefix.length)
+  };
+}
+
+// Search ranges over the joined tags, split per '#tag'
+function tagRanges(tags, ranges = []) {
+  let offset = 0;
+  return tags.map(tag => {
+    const start = offset;
+    const end = start + tag.length;
+    offset = end + 1;
+    return {
+      tag,
+      ranges: ranges
+        .filter(([from, to]) => from < end && to > start)
+        .map(([from, to]) => [Math.max(from, start) - start + 1, Math.min(to, end) - start + 1])
+    };
+  });
+}
+
+export default function VaultScreen({ navigation, route, token, email, keyPair, onLock, onLogout, onKeysChanged, lockGeneration }) {
   const { masterKey, dek } = keyPair;
-  const { syncStatus, pushToRemote } = useSync(token);
+  const { syncStatus, pushToRemote } = useSync(token, { onKeysChanged: handleRemoteKeyChange });
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isAdding, setIsAdding] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
-  const [newItem, setNewItem] = useState({ name: '', url: '', username: '', password: '', note: '' });
+  const [newItem, setNewItem] = useState(() => emptyItem());
+  const [editingId, setEditingId] = useState(null); // Item open in the form, null when adding
   const [expandedItem, setExpandedItem] = useState(null);
+  const [showGenerator, setShowGenerator] = useState(false);
+  const [revealed, setRevealed] = useState({}); // Concealed fields shown in the expanded item
+  const [showHistory, setShowHistory] = useState(false);
+  const [tagInput, setTagInput] = useState('');
+  const [filter, setFilter] = useState(ALL_ITEMS);
+  const [folderAction, setFolderAction] = useState(null); // Folder being renamed or deleted
+  const [folderName, setFolderName] = useState('');
+  const [query, setQuery] = useState('');
+  const [sortMode, setSortMode] = useState(DEFAULT_SORT_MODE);
+  const [showSortMenu, setShowSortMenu] = useState(false);
+  const pendingUses = useRef(new Set()); // Items with unsaved usage stats
+
+  const folders = listFolders(items);
+  const tags = listTags(items);
+
+  // In-memory only: gone with this screen when the vault locks
+  const searchIndex = useMemo(() => buildSearchIndex(items), [items]);
+  const deferredQuery = useDeferredValue(query);
+  const searchResults = useMemo(() => searchItems(searchIndex, deferredQuery), [searchIndex, deferredQuery]);
 
+  // Within the selected folder or tag: search results best first, otherwise
+  // the chosen sort with favorites on top
+  const visibleItems = useMemo(() => {
+    if (!deferredQuery.trim()) {
+      return sortItems(filterItems(items, filter), sortMode);
+    }
+    const inFilter = new Set(filterItems(items, filter).map(item => item.id));
+    return searchResults.filter(result => inFilter.has(result.item.id)).map(result => result.item);
+  }, [searchResults, items, filter, sortMode, deferredQuery]);
+  const matchesById = useMemo(
+    () => new Map(searchResults.map(result => [result.item.id, result.matches])),
+    [searchResults]
+  );
+
+  // Caches range responses until the vault locks or the endpoint setting changes
+  const breachChecker = useRef(null);
+
+  // Reload whenever the DEK changes (rotation here or on another device)
   useEffect(() => {
     loadVault();
+  }, [dek]);
+
+  useEffect(() => {
+    checkRecoveryKey();
+    getSettings().then(settings => setSortMode(settings.sortMode));
   }, []);
 
+  // Fall back to all items when the filtered folder or tag is gone
+  useEffect(() => {
+    if ((filter.type === 'folder' || filter.type === 'tag') && filterItems(items, filter).length === 0) {
+      setFilter(ALL_ITEMS);
+    }
+  }, [items]);
+
+  // Vault Health links here with the item to edit
+  const editItemId = route.params?.editItemId;
+  useEffect(() => {
+    if (!editItemId || loading) return;
+    const item = items.find(candidate => candidate.id === editItemId);
+    if (item) {
+      setExpandedItem(item.id);
+      handleEditItem(item);
+    }
+    navigation.setParams({ editItemId: undefined });
+  }, [editItemId, loading]);
+
+  // Unsaved usage stats go out on their own once copying stops; any change
+  // to the items restarts the wait, so a normal save usually takes them first
+  useEffect(() => {
+    if (pendingUses.current.size === 0) return undefined;
+    const timer = setTimeout(() => saveVault(items, [], { quiet: true }), USAGE_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [items]);
+
+  // The generator panel starts closed every time the add form opens
+  useEffect(() => {
+    if (!isAdding) setShowGenerator(false);
+  }, [isAdding]);
+
   const loadVault = async () => {
     try {
       const vaultData = await getVault();
       
-      if (vaultData && vaultData.encryptedVault && vaultData.encryptedVault.length > 0) {
-        const encryptedVault = new Uint8Array(vaultData.encryptedVault);
-        const vaultIV = new Uint8Array(vaultData.vaultIV);
-        
-        const decrypted = await decryptVault(encryptedVault, vaultIV, dek);
-        setItems(Array.isArray(decrypted) ? decrypted : []);
+      if (vaultData) {
+        const { items: loaded, migratedIds } = migrateItems(
+          await openVault(vaultData, dek, envelopeContext(email, vaultData))
+        );
+        setItems(loaded);
+
+        if (migratedIds.length > 0) {
+          console.log(`✓ Migrating ${migratedIds.length} untyped items to logins`);
+          await saveVault(loaded, migratedIds);
+        }
       } else {
         setItems([]);
       }
@@ -53,67 +228,208 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
     }
   };
 
-  const saveVault = async (updatedItems) => {
+  // changedIds lists the items that were added or edited: only those are
+  // re-encrypted, the other records are reused as they are. Items with
+  // pending usage stats are always included. A quiet save (usage stats only)
+  // neither alerts nor reloads, unless the sync pulled newer data
+  const saveVault = async (updatedItems, changedIds = [], { quiet = false } = {}) => {
+    const usedIds = [...pendingUses.current];
+    pendingUses.current.clear();
     try {
-      const { encryptedVault, iv: vaultIV } = await encryptVault(updatedItems, dek);
-      
       const currentVault = await getVault();
+      const context = currentContext(email);
+      const sealed = await sealVault(updatedItems, dek, context, {
+        vaultData: currentVault,
+        context: envelopeContext(email, currentVault),
+        changedIds: [...changedIds, ...usedIds]
+      });
       const lastModified = new Date().toISOString();
       
-      const updatedVault = {
+      let updatedVault = {
         ...currentVault,
-        encryptedVault: Array.from(encryptedVault),
-        vaultIV: Array.from(vaultIV)
+        ...sealed
       };
+
+      // Envelopes written without AAD are upgraded on the first save: the
+      // vault is now bound to the account, so the DEK wrap must be as well
+      if ((currentVault.format || 1) < ENVELOPE_FORMAT) {
+        const { encryptedDEK, iv: dekIV } = await encryptDEK(dek, masterKey, context);
+        updatedVault = {
+          ...updatedVault,
+          encryptedDEK: Array.from(encryptedDEK),
+          dekIV: Array.from(dekIV),
+          format: context.format
+        };
+      }
       
       await setVault(updatedVault);
       await setVaultLastModified(lastModified);
       
       // Sync to backend (include all vault data)
-      const encryptedBlob = {
-        encryptedVault: Array.from(encryptedVault),
-        vaultIV: Array.from(vaultIV),
-        encryptedDEK: currentVault.encryptedDEK,
-        dekIV: currentVault.dekIV,
-        salt: currentVault.salt
-      };
+      const encryptedBlob = toSyncBlob(updatedVault);
       
       const result = await pushToRemote(encryptedBlob, lastModified);
       
+      const pulled = result.action === 'pulled' && result.dataUpdated;
       if (!result.success) {
-        Alert.alert('Sync Failed', result.error || 'Unknown error');
+        // Saved locally either way; a quiet save goes out with the next sync
+        if (quiet) {
+          console.log('Usage stats not synced:', result.error);
+        } else {
+          Alert.alert('Sync Failed', result.error || 'Unknown error');
+        }
       } else {
-        // Always reload vault after sync (including after pull)
-        loadVault();
-        if (result.action === 'pulled' && result.dataUpdated) {
+        // Always reload vault after sync (including after pull), unless the
+        // pull brought a new DEK: the key change handler reloads then
+        if (!result.keysChanged && (!quiet || pulled)) {
+          loadVault();
+        }
+        if (pulled && !quiet) {
           Alert.alert('Vault Updated', 'Newer data was pulled from server');
         }
       }
       return true;
     } catch (err) {
       console.error(err);
-      Alert.alert('Error', 'Encryption/storage failed: ' + err.message);
+      usedIds.forEach(id => pendingUses.current.add(id));
+      if (!quiet) {
+        Alert.alert('Error', 'Encryption/storage failed: ' + err.message);
+      }
       return false;
     }
   };
 
-  const handleAddItem = async () => {
-    if (!newItem.name || !newItem.username || !newItem.password) {
-      Alert.alert('Error', 'Please fill in required fields');
-      return;
-    }
-
-    const updatedItems = [...items, { 
-      ...newItem, 
+  const handleAddItem = async (values) => {
+    const item = { 
+      ...values, 
       id: Date.now().toString() + Math.random().toString(36),
       createdAt: Date.now() 
-    }];
+    };
+    const updatedItems = [...items, item];
     
     setItems(updatedItems);
-    setNewItem({ name: '', url: '', username: '', password: '', note: '' });
+    closeForm(true);
+
+    await saveVault(updatedItems, [item.id]);
+    await warnIfBreached(item);
+  };
+
+  // Sends hash prefixes only; a failed lookup (offline) is not an error
+  const warnIfBreached = async (item) => {
+    try {
+      const { breachRangeUrl } = await getSettings();
+      if (breachChecker.current?.rangeUrl !== breachRangeUrl) {
+        breachChecker.current = { rangeUrl: breachRangeUrl, checker: createBreachChecker({ rangeUrl: breachRangeUrl }) };
+      }
+      const [issue] = await findBreached([item], breachChecker.current.checker);
+      if (issue) {
+        Alert.alert('Breached Password', `${issue.detail}. Choose a different password for "${item.name}".`);
+      }
+    } catch (err) {
+      console.log('Breach check skipped:', err.message);
+    }
+  };
+
+  // Keeps id and createdAt so the item stays the same record everywhere
+  const handleUpdateItem = async (values) => {
+    const { passwordHistoryRetention } = await getSettings();
+    const updatedItems = items.map(item => (
+      item.id === editingId
+        ? withPasswordHistory(item, { ...item, ...values, updatedAt: Date.now() }, passwordHistoryRetention)
+        : item
+    ));
+
+    setItems(updatedItems);
+    closeForm(true);
+
+    await saveVault(updatedItems, [editingId]);
+  };
+
+  const handleSaveItem = async () => {
+    const itemError = validateItem(newItem);
+    if (itemError) {
+      Alert.alert('Error', itemError);
+      return;
+    }
+
+    // A tag still being typed counts as entered
+    const values = {
+      ...newItem,
+      folder: normalizeFolder(newItem.folder),
+      tags: [...new Set([...newItem.tags, ...parseTags(tagInput)])]
+    };
+
+    if (editingId) {
+      await handleUpdateItem(values);
+    } else {
+      await handleAddItem(values);
+    }
+  };
+
+  const handleEditItem = (item) => {
+    setNewItem(itemFormValues(item));
+    setEditingId(item.id);
+    setIsAdding(true);
+  };
+
+  // An unsaved add draft survives closing the form, an edit does not
+  const closeForm = (clear = editingId !== null) => {
+    if (clear) {
+      setNewItem(emptyItem());
+    }
+    setTagInput('');
+    setEditingId(null);
     setIsAdding(false);
+  };
 
-    await saveVault(updatedItems);
+  // Tags are added as they are typed, on a comma or space
+  const handleTagInput = (text) => {
+    if (/[,\s]$/.test(text)) {
+      setNewItem({ ...newItem, tags: [...new Set([...newItem.tags, ...parseTags(text)])] });
+      setTagInput('');
+    } else {
+      setTagInput(text);
+    }
+  };
+
+  // Every item in the folder changes in one save
+  const handleRenameFolder = async () => {
+    const name = normalizeFolder(folderName);
+    if (!name) {
+      Alert.alert('Error', 'Folder name cannot be empty');
+      return;
+    }
+
+    const { items: updatedItems, changedIds } = renameFolder(items, folderAction, name);
+    setItems(updatedItems);
+    if (filter.type === 'folder' && filter.name === folderAction) {
+      setFilter({ type: 'folder', name });
+    }
+    setFolderAction(null);
+
+    await saveVault(updatedItems, changedIds);
+  };
+
+  const handleDeleteFolder = () => {
+    const name = folderAction;
+    setFolderAction(null);
+
+    Alert.alert(
+      'Delete Folder',
+      `Delete "${name}"? Its items are kept and moved out of the folder.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const { items: updatedItems, changedIds } = deleteFolder(items, name);
+            setItems(updatedItems);
+            await saveVault(updatedItems, changedIds);
+          }
+        }
+      ]
+    );
   };
 
   const handleDeleteItem = async (itemId) => {
@@ -135,9 +451,45 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
     );
   };
 
-  const handleCopyPassword = async (password) => {
-    await Clipboard.setStringAsync(password);
-    Alert.alert('Copied', 'Password copied to clipboard');
+  // Name, folder, tags and custom fields carry over when switching type,
+  // everything else is per type
+  const handleTypeChange = (type) => {
+    setNewItem({
+      ...emptyItem(type),
+      name: newItem.name,
+      folder: newItem.folder,
+      tags: newItem.tags,
+      fields: newItem.fields
+    });
+    setShowGenerator(false);
+  };
+
+  // Every copy goes through here, so every copied value is cleared later.
+  // Copying the password counts as using the item; the stats are saved
+  // later (see USAGE_SAVE_DELAY), not synced on every copy
+  const handleCopy = async (item, value, label, key) => {
+    const { clipboardClearSeconds } = await getSettings();
+    await copySecret(value, label, clipboardClearSeconds * 1000);
+
+    if (countsAsUse(item, key)) {
+      pendingUses.current.add(item.id);
+      setItems(current => current.map(other => (other.id === item.id ? recordUse(other) : other)));
+    }
+  };
+
+  // Not an edit: favorites and usage leave updatedAt alone
+  const handleToggleFavorite = async (item) => {
+    const updatedItems = items.map(other => (
+      other.id === item.id ? { ...other, favorite: !other.favorite } : other
+    ));
+    setItems(updatedItems);
+    await saveVault(updatedItems, [item.id]);
+  };
+
+  const handleSortMode = async (mode) => {
+    setSortMode(mode);
+    setShowSortMenu(false);
+    await updateSettings({ sortMode: mode });
   };
 
   const handleManualSync = async () => {
@@ -150,19 +502,15 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
         return;
       }
 
-      const encryptedBlob = {
-        encryptedVault: vaultData.encryptedVault,
-        vaultIV: vaultData.vaultIV,
-        encryptedDEK: vaultData.encryptedDEK,
-        dekIV: vaultData.dekIV,
-        salt: vaultData.salt
-      };
+      const encryptedBlob = toSyncBlob(vaultData);
       
       const result = await pushToRemote(encryptedBlob, lastModified);
       
       if (result.success) {
         // Always reload vault after sync (including after pull)
-        loadVault();
+        if (!result.keysChanged) {
+          loadVault();
+        }
         if (result.action === 'pulled' && result.dataUpdated) {
           Alert.alert('Vault Updated', 'Newer data was pulled from server');
         } else if (result.action === 'updated') {
@@ -179,8 +527,167 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
     }
   };
 
-  const handleLock = async () => {
-    await clearSessionKeys();
+  // The wrapped DEK changed on another device. A rotated DEK is still wrapped
+  // with our master key; a changed master password means our keys are stale.
+  // A sync finishing after the vault locked changes nothing
+  async function handleRemoteKeyChange(envelope) {
+    const generation = lockGeneration.current;
+    try {
+      const newDek = await decryptDEK(
+        new Uint8Array(envelope.encryptedDEK),
+        new Uint8Array(envelope.dekIV),
+        masterKey,
+        envelopeContext(email, envelope)
+      );
+      await onKeysChanged({ masterKey, dek: newDek }, generation);
+    } catch (err) {
+      if (lockGeneration.current !== generation) return;
+      await clearSessionKeys();
+      Alert.alert('Master Password Changed', 'Your master password was changed on another device. Please unlock with the new master password.');
+      onLock();
+    }
+  }
+
+  // Vaults created before recovery keys wrapped the DEK have none (the legacy
+  // key file contains the master password instead)
+  const checkRecoveryKey = async () => {
+    const vaultData = await getVault();
+    if (vaultData && !vaultData.recoveryDEK) {
+      Alert.alert(
+        'Update Recovery Key',
+        'Your recovery key contains your master password. Create a new recovery key and destroy the old file.',
+        [
+          { text: 'Later', style: 'cancel' },
+          { text: 'Create', onPress: handleNewRecoveryKey }
+        ]
+      );
+    }
+  };
+
+  const handleNewRecoveryKey = async () => {
+    const generation = lockGeneration.current;
+    try {
+      const vaultData = await getVault();
+      const secret = generateRecoverySecret();
+      const context = currentContext(email);
+      const { recoveryDEK, recoveryIV } = await encryptDEKWithRecoveryKey(dek, secret, context);
+
+      // Save the file first: once committed, only the new key works
+      // and only while the vault is still open
+      if (!(await saveRecoveryKeyFile(email, encodeRecoveryKey(secret)))) return;
+      if (lockGeneration.current !== generation) return;
+
+      const updatedVault = {
+        ...vaultData,
+        recoveryDEK: Array.from(recoveryDEK),
+        recoveryIV: Array.from(recoveryIV),
+        recoveryFormat: context.format
+      };
+      const lastModified = new Date().toISOString();
+
+      await setVault(updatedVault);
+      await setVaultLastModified(lastModified);
+
+      const result = await pushToRemote(toSyncBlob(updatedVault), lastModified);
+      if (!result.success) {
+        Alert.alert('Sync Failed', result.error || 'Unknown error');
+      }
+    } catch (err) {
+      console.error('Recovery key error:', err);
+      Alert.alert('Error', 'Failed to create recovery key: ' + err.message);
+    }
+  };
+
+  const handleRotateKey = async () => {
+    Alert.alert(
+      'Rotate Encryption Key',
+      'Re-encrypt your whole vault under a new data key? Do this after a suspected compromise or after removing a device.\n\nYour old recovery key will stop working: you will be asked to save a new one first.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Rotate', style: 'destructive', onPress: rotateKey }
+      ]
+    );
+  };
+
+  // Stops when the vault locks along the way: nothing is committed before the
+  // recovery key is saved, and the new keys are never put back after a lock
+  const rotateKey = async () => {
+    const generation = lockGeneration.current;
+    try {
+      const vaultData = await getVault();
+      if (!vaultData) {
+        Alert.alert('Error', 'No vault data found');
+        return;
+      }
+
+      // Everything is re-encrypted, so the whole envelope moves to the current format
+      const context = currentContext(email);
+      const rotated = await rotateDEK(
+        vaultData,
+        dek,
+        masterKey,
+        envelopeContext(email, vaultData),
+        context
+      );
+
+      // The old recovery key wraps the old DEK: issue a new one with the rotation
+      const recoverySecret = generateRecoverySecret();
+      const { recoveryDEK, recoveryIV } = await encryptDEKWithRecoveryKey(rotated.dek, recoverySecret, context);
+
+      // Save the file first: once committed, only the new key works
+      if (!(await saveRecoveryKeyFile(email, encodeRecoveryKey(recoverySecret)))) {
+        Alert.alert('Key Not Rotated', 'The new recovery key could not be saved. Your vault and old recovery key are unchanged.');
+        return;
+      }
+      if (lockGeneration.current !== generation) return;
+
+      const updatedVault = {
+        ...vaultData,
+        ...rotated.vault,
+        encryptedDEK: Array.from(rotated.encryptedDEK),
+        dekIV: Array.from(rotated.dekIV),
+        recoveryDEK: Array.from(recoveryDEK),
+        recoveryIV: Array.from(recoveryIV),
+        recoveryFormat: context.format,
+        format: context.format
+      };
+
+      // Persisted session keys would not match the new envelope if we crash
+      // mid-commit, so drop them first: worst case is a password prompt
+      await clearSessionKeys();
+
+      // Vault ciphertext and wrapped DEK are committed in one write
+      await setVault(updatedVault);
+      const committed = await getVault();
+      if (!committed || hasKeyChanged(committed, updatedVault)) {
+        // Write failed, the old envelope is still on disk
+        if (lockGeneration.current === generation) {
+          await setSessionKeys(masterKey, dek);
+        }
+        throw new Error('Failed to store rotated vault. Your old recovery key still works.');
+      }
+
+      const lastModified = new Date().toISOString();
+      await setVaultLastModified(lastModified);
+      // Committed: after a lock the next unlock opens the rotated vault, which
+      // syncs later
+      if (lockGeneration.current !== generation) return;
+      await onKeysChanged({ masterKey, dek: rotated.dek }, generation);
+
+      const result = await pushToRemote(toSyncBlob(updatedVault), lastModified);
+      if (!result.success) {
+        Alert.alert('Sync Failed', 'Key rotated on this device but failed to sync. It will sync later.\n\n' + (result.error || ''));
+      }
+
+      Alert.alert('Key Rotated', 'Vault re-encrypted with a new data key. Your old recovery key no longer works: keep the new one you just saved.');
+    } catch (err) {
+      console.error('DEK rotation error:', err);
+      Alert.alert('Error', 'Key rotation failed: ' + err.message);
+    }
+  };
+
+  // App.handleLock clears the session keys, as for auto-lock
+  const handleLock = () => {
     onLock();
   };
 
@@ -211,98 +718,371 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
     );
   }
 
-  const renderItem = ({ item }) => (
-    <TouchableOpacity
-      onPress={() => setExpandedItem(expandedItem === item.id ? null : item.id)}
-      style={{
-        backgroundColor: '#FFFFFF',
-        padding: 18,
-        borderRadius: 12,
-        marginBottom: 12,
-        marginHorizontal: 16,
-        shadowColor: '#000',
-        shadowOffset: { width: 0, height: 1 },
-        shadowOpacity: 0.08,
-        shadowRadius: 3,
-        elevation: 2,
-        borderWidth: 1,
-        borderColor: '#E0E0E0'
-      }}
-    >
-      <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-        <View style={{ flex: 1, marginRight: 12 }}>
-          <Text style={{ fontSize: 17, fontWeight: '600', color: '#212121', marginBottom: 6 }}>
-            {item.name || 'Untitled'}
+  const toggleReveal = (key) => setRevealed({ ...revealed, [key]: !revealed[key] });
+
+  // One stored value in the expanded item
+  const renderDetail = (item, key, label, value, { concealed = false, monospace = false, copyable = false } = {}) => {
+    const revealKey = `${item.id}:${key}`;
+    const masked = concealed && !revealed[revealKey];
+
+    return (
+      <View
+        key={revealKey}
+        style={{ backgroundColor: '#FAFAFA', padding: 14, borderRadius: 8, marginBottom: 12, borderWidth: 1, borderColor: '#E0E0E0', flexDirection: 'row', alignItems: 'center' }}
+      >
+        <View style={{ flex: 1 }}>
+          <Text style={{ fontSize: 11, color: '#757575', marginBottom: 6, fontWeight: '600', letterSpacing: 0.5 }}>
+            {label.toUpperCase()}
           </Text>
-          <Text style={{ fontSize: 14, color: '#757575', marginBottom: 3 }}>{item.username}</Text>
-          {item.url && <Text style={{ fontSize: 12, color: '#9E9E9E' }}>{item.url}</Text>}
-        </View>
-        
-        {expandedItem !== item.id && (
-          <TouchableOpacity
-            onPress={() => handleCopyPassword(item.password)}
-            style={{ 
-              padding: 10,
-              backgroundColor: '#E3F2FD',
-              borderRadius: 8
-            }}
+          <Text style={monospace
+            ? { fontSize: 15, fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace', color: '#212121', letterSpacing: 1 }
+            : { fontSize: 14, color: '#424242', lineHeight: 20 }}
           >
-            <Text style={{ fontSize: 18 }}>📋</Text>
+            {masked ? '••••••••' : value}
+          </Text>
+        </View>
+        {concealed && (
+          <TouchableOpacity onPress={() => toggleReveal(revealKey)} style={{ padding: 8 }}>
+            <Text style={{ fontSize: 16 }}>{revealed[revealKey] ? '🙈' : '👁️'}</Text>
+          </TouchableOpacity>
+        )}
+        {copyable && (
+          <TouchableOpacity onPress={() => handleCopy(item, value, label, key)} style={{ padding: 8 }}>
+            <Text style={{ fontSize: 16 }}>📋</Text>
           </TouchableOpacity>
         )}
       </View>
-      
-      {expandedItem === item.id && (
-        <View style={{ marginTop: 16, paddingTop: 16, borderTopWidth: 1, borderTopColor: '#EEEEEE' }}>
-          <View style={{ backgroundColor: '#FAFAFA', padding: 14, borderRadius: 8, marginBottom: 12, borderWidth: 1, borderColor: '#E0E0E0' }}>
-            <Text style={{ fontSize: 11, color: '#757575', marginBottom: 6, fontWeight: '600', letterSpacing: 0.5 }}>PASSWORD</Text>
-            <Text style={{ fontSize: 15, fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace', color: '#212121', letterSpacing: 1 }}>
-              {item.password}
+    );
+  };
+
+  // Long press on a folder chip opens rename/delete
+  const renderFilterChip = (chipFilter, label, onLongPress) => {
+    const selected = chipFilter.type === filter.type && chipFilter.name === filter.name;
+    return (
+      <TouchableOpacity
+        key={`${chipFilter.type}:${chipFilter.name || ''}`}
+        onPress={() => setFilter(chipFilter)}
+        onLongPress={onLongPress}
+        style={{
+          paddingHorizontal: 12,
+          paddingVertical: 6,
+          borderRadius: 16,
+          backgroundColor: selected ? '#1976D2' : '#F5F5F5'
+        }}
+      >
+        <Text style={{ fontSize: 13, fontWeight: '600', color: selected ? '#FFFFFF' : '#616161' }}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const matches = matchesById.get(item.id) || {};
+    const schema = getItemType(item);
+    const subtitle = itemSubtitle(item);
+    const copyField = schema.fields.find(field => field.key === schema.copyField);
+    const canCopy = copyField && item[copyField.key];
+    // Name is the title; a login's URL is already under it
+    const details = schema.fields.filter(field => (
+      field.key !== 'name' &&
+      !(item.type === 'login' && field.key === 'url') &&
+      item[field.key] !== undefined && item[field.key] !== ''
+    ));
+
+    return (
+      <TouchableOpacity
+        onPress={() => {
+          setExpandedItem(expandedItem === item.id ? null : item.id);
+          setRevealed({});
+          setShowHistory(false);
+        }}
+        style={{
+          backgroundColor: '#FFFFFF',
+          padding: 18,
+          borderRadius: 12,
+          marginBottom: 12,
+          marginHorizontal: 16,
+          shadowColor: '#000',
+          shadowOffset: { width: 0, height: 1 },
+          shadowOpacity: 0.08,
+          shadowRadius: 3,
+          elevation: 2,
+          borderWidth: 1,
+          borderColor: '#E0E0E0'
+        }}
+      >
+        <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <View style={{ flex: 1, marginRight: 12 }}>
+            <Text style={{ fontSize: 17, fontWeight: '600', color: '#212121', marginBottom: 6 }}>
+              {schema.icon} <HighlightedText text={item.name || 'Untitled'} ranges={matches.name} />
             </Text>
+            {subtitle !== '' && (
+              <HighlightedText
+                text={subtitle}
+                ranges={schema.subtitle === 'username' ? matches.username : undefined}
+                style={{ fontSize: 14, color: '#757575', marginBottom: 3 }}
+              />
+            )}
+            {item.type === 'login' && item.url && (
+              <HighlightedText text={item.url} ranges={matches.url} style={{ fontSize: 12, color: '#9E9E9E' }} />
+            )}
+            {matches.note && expandedItem !== item.id && (
+              <HighlightedText
+                {...noteSnippet(item.note, matches.note)}
+                numberOfLines={1}
+                style={{ fontSize: 12, color: '#757575', marginTop: 2 }}
+              />
+            )}
+            {(item.folder || (item.tags || []).length > 0) && (
+              <Text style={{ fontSize: 12, color: '#1976D2', marginTop: 4 }}>
+                {item.folder ? `📁 ${item.folder}  ` : ''}
+                {tagRanges(item.tags || [], matches.tags).map(({ tag, ranges }) => (
+                  <Text key={tag}>
+                    <HighlightedText text={`#${tag}`} ranges={ranges} />{'  '}
+                  </Text>
+                ))}
+              </Text>
+            )}
           </View>
+
+          <TouchableOpacity onPress={() => handleToggleFavorite(item)} style={{ padding: 10, marginRight: 4 }}>
+            <Text style={{ fontSize: 18, color: item.favorite ? '#F9A825' : '#BDBDBD' }}>{item.favorite ? '★' : '☆'}</Text>
+          </TouchableOpacity>
           
-          {item.note && (
-            <View style={{ backgroundColor: '#FAFAFA', padding: 14, borderRadius: 8, marginBottom: 12, borderWidth: 1, borderColor: '#E0E0E0' }}>
-              <Text style={{ fontSize: 11, color: '#757575', marginBottom: 6, fontWeight: '600', letterSpacing: 0.5 }}>NOTE</Text>
-              <Text style={{ fontSize: 14, color: '#424242', lineHeight: 20 }}>{item.note}</Text>
-            </View>
-          )}
-          
-          <View style={{ flexDirection: 'row', gap: 10, marginTop: 4 }}>
+          {expandedItem !== item.id && canCopy && (
             <TouchableOpacity
-              onPress={() => handleCopyPassword(item.password)}
+              onPress={() => handleCopy(item, item[copyField.key], copyField.label, copyField.key)}
               style={{ 
-                flex: 1, 
-                backgroundColor: '#1976D2', 
-                borderRadius: 8, 
-                paddingVertical: 12,
-                elevation: 2,
-                shadowColor: '#1976D2',
-                shadowOffset: { width: 0, height: 2 },
-                shadowOpacity: 0.3,
-                shadowRadius: 4
+                padding: 10,
+                backgroundColor: '#E3F2FD',
+                borderRadius: 8
               }}
             >
-              <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '600', fontSize: 14 }}>Copy Password</Text>
-            </TouchableOpacity>
-            <TouchableOpacity
-              onPress={() => handleDeleteItem(item.id)}
-              style={{ 
-                flex: 1, 
-                backgroundColor: '#FFFFFF', 
-                borderRadius: 8, 
-                paddingVertical: 12,
-                borderWidth: 1.5,
-                borderColor: '#D32F2F'
-              }}
-            >
-              <Text style={{ textAlign: 'center', color: '#D32F2F', fontWeight: '600', fontSize: 14 }}>Delete</Text>
+              <Text style={{ fontSize: 18 }}>📋</Text>
             </TouchableOpacity>
+          )}
+        </View>
+        
+        {expandedItem === item.id && (
+          <View style={{ marginTop: 16, paddingTop: 16, borderTopWidth: 1, borderTopColor: '#EEEEEE' }}>
+            <Text style={{ fontSize: 12, color: '#9E9E9E', marginBottom: 12 }}>
+              {[
+                item.createdAt && `Created ${formatDate(item.createdAt)}`,
+                item.updatedAt && `Modified ${formatDate(item.updatedAt)}`,
+                item.useCount
+                  ? `Used ${item.useCount} ${item.useCount === 1 ? 'time' : 'times'}, last ${formatDate(item.lastUsedAt)}`
+                  : 'Never used'
+              ].filter(Boolean).join(' · ')}
+            </Text>
+            {details.map(field => field.kind === 'totp' ? (
+              <TotpCode
+                key={`${item.id}:${field.key}`}
+                label="One-Time Code"
+                secret={item[field.key]}
+                onCopy={(code) => handleCopy(item, code, 'One-time code', field.key)}
+              />
+            ) : renderDetail(item, field.key, field.label, String(item[field.key]), {
+              concealed: field.kind === 'concealed',
+              monospace: field.kind === 'password' || field.kind === 'concealed',
+              copyable: field.copyable
+            }))}
+            {(item.fields || []).filter(field => field.kind === 'boolean' || field.value !== '').map(field => renderDetail(item, field.id, field.label, customFieldText(field), {
+              concealed: CUSTOM_FIELD_KINDS[field.kind]?.concealed,
+              monospace: CUSTOM_FIELD_KINDS[field.kind]?.concealed,
+              copyable: field.kind !== 'boolean'
+            }))}
+
+            {(item.passwordHistory || []).length > 0 && (
+              <View style={{ marginBottom: 12 }}>
+                <TouchableOpacity onPress={() => setShowHistory(!showHistory)} style={{ paddingVertical: 6 }}>
+                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#1976D2' }}>
+                    {showHistory ? '▾' : '▸'} Password History ({item.passwordHistory.length})
+                  </Text>
+                </TouchableOpacity>
+                {showHistory && item.passwordHistory.map((entry, i) => renderDetail(
+                  item,
+                  `history:${i}`,
+                  `${historyLabel(item, entry)} until ${formatDate(entry.changedAt)}`,
+                  entry.value,
+                  { concealed: true, monospace: true, copyable: true }
+                ))}
+              </View>
+            )}
+            
+            <View style={{ flexDirection: 'row', gap: 10, marginTop: 4 }}>
+              {canCopy && (
+                <TouchableOpacity
+                  onPress={() => handleCopy(item, item[copyField.key], copyField.label, copyField.key)}
+                  style={{ 
+                    flex: 1, 
+                    backgroundColor: '#1976D2', 
+                    borderRadius: 8, 
+                    paddingVertical: 12,
+                    elevation: 2,
+                    shadowColor: '#1976D2',
+                    shadowOffset: { width: 0, height: 2 },
+                    shadowOpacity: 0.3,
+                    shadowRadius: 4
+                  }}
+                >
+                  <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '600', fontSize: 14 }}>Copy {copyField.label}</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                onPress={() => handleEditItem(item)}
+                style={{ 
+                  flex: 1, 
+                  backgroundColor: '#FFFFFF', 
+                  borderRadius: 8, 
+                  paddingVertical: 12,
+                  borderWidth: 1.5,
+                  borderColor: '#1976D2'
+                }}
+              >
+                <Text style={{ textAlign: 'center', color: '#1976D2', fontWeight: '600', fontSize: 14 }}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleDeleteItem(item.id)}
+                style={{ 
+                  flex: 1, 
+                  backgroundColor: '#FFFFFF', 
+                  borderRadius: 8, 
+                  paddingVertical: 12,
+                  borderWidth: 1.5,
+                  borderColor: '#D32F2F'
+                }}
+              >
+                <Text style={{ textAlign: 'center', color: '#D32F2F', fontWeight: '600', fontSize: 14 }}>Delete</Text>
+              </TouchableOpacity>
+            </View>
           </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const updateCustomField = (id, changes) => setNewItem({
+    ...newItem,
+    fields: newItem.fields.map(field => (field.id === id ? { ...field, ...changes } : field))
+  });
+
+  // Label, value and remove button for one user-defined field
+  const renderCustomField = (field) => {
+    const kind = CUSTOM_FIELD_KINDS[field.kind] || CUSTOM_FIELD_KINDS.text;
+
+    return (
+      <View key={field.id} style={{ marginBottom: 16, padding: 12, borderRadius: 8, borderWidth: 1, borderColor: '#E0E0E0' }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+          <TextInput
+            value={field.label}
+            onChangeText={(label) => updateCustomField(field.id, { label })}
+            placeholder={`${kind.label} field label`}
+            placeholderTextColor="#9E9E9E"
+            style={{ flex: 1, fontSize: 13, fontWeight: '600', color: '#616161', paddingVertical: 4 }}
+          />
+          <TouchableOpacity
+            onPress={() => setNewItem({ ...newItem, fields: newItem.fields.filter(other => other.id !== field.id) })}
+            style={{ padding: 4 }}
+          >
+            <Text style={{ fontSize: 16, color: '#D32F2F' }}>✕</Text>
+          </TouchableOpacity>
         </View>
-      )}
-    </TouchableOpacity>
-  );
+        {field.kind === 'boolean' ? (
+          <Switch
+            value={Boolean(field.value)}
+            onValueChange={(value) => updateCustomField(field.id, { value })}
+            trackColor={{ true: '#90CAF9' }}
+            thumbColor={field.value ? '#1976D2' : '#F5F5F5'}
+          />
+        ) : (
+          <TextInput
+            value={field.value}
+            onChangeText={(value) => updateCustomField(field.id, { value })}
+            placeholder={kind.placeholder || 'Value'}
+            placeholderTextColor="#9E9E9E"
+            secureTextEntry={Boolean(kind.concealed)}
+            keyboardType={field.kind === 'url' ? 'url' : 'default'}
+            autoCapitalize={field.kind === 'text' ? 'sentences' : 'none'}
+            style={FIELD_INPUT_STYLE}
+          />
+        )}
+      </View>
+    );
+  };
+
+  // One input of the add/edit form, laid out by field kind
+  const renderField = (field, index, fields) => {
+    const value = newItem[field.key] ?? '';
+    const update = (text) => setNewItem({ ...newItem, [field.key]: text });
+    const label = field.label + (field.required ? ' *' : '');
+    const labelStyle = { fontSize: 13, fontWeight: '600', color: '#616161' };
+    const masked = field.kind === 'password' || field.kind === 'concealed' || field.kind === 'totp';
+
+    return (
+      <View key={field.key} style={{ marginBottom: index === fields.length - 1 ? 24 : 16 }}>
+        {field.kind === 'password' ? (
+          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+            <Text style={labelStyle}>{label}</Text>
+            <TouchableOpacity onPress={() => setShowGenerator(!showGenerator)}>
+              <Text style={{ fontSize: 13, fontWeight: '600', color: '#1976D2' }}>🎲 Generate</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <Text style={{ ...labelStyle, marginBottom: 8 }}>{label}</Text>
+        )}
+
+        {field.kind === 'choice' ? (
+          <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+            {field.options.map(option => (
+              <TouchableOpacity
+                key={option}
+                onPress={() => update(option)}
+                style={{
+                  paddingHorizontal: 14,
+                  paddingVertical: 8,
+                  borderRadius: 8,
+                  borderWidth: 1,
+                  borderColor: value === option ? '#1976D2' : '#E0E0E0',
+                  backgroundColor: value === option ? '#E3F2FD' : '#FAFAFA'
+                }}
+              >
+                <Text style={{ fontSize: 14, color: '#424242' }}>{option}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ) : (
+          <TextInput
+            value={value}
+            onChangeText={update}
+            placeholder={field.placeholder}
+            placeholderTextColor="#9E9E9E"
+            secureTextEntry={masked}
+            keyboardType={KEYBOARD_TYPES[field.kind] || 'default'}
+            autoCapitalize={masked || field.kind === 'url' || field.kind === 'email' ? 'none' : 'sentences'}
+            multiline={field.kind === 'multiline'}
+            numberOfLines={field.kind === 'multiline' ? 3 : 1}
+            style={field.kind === 'multiline'
+              ? { ...FIELD_INPUT_STYLE, textAlignVertical: 'top', minHeight: 80 }
+              : FIELD_INPUT_STYLE}
+          />
+        )}
+
+        {field.kind === 'password' && (
+          <>
+            <PasswordStrengthMeter password={value} userInputs={[newItem.username, newItem.ssid, newItem.name, email]} />
+            {showGenerator && (
+              <PasswordGenerator
+                onUse={(password) => {
+                  update(password);
+                  setShowGenerator(false);
+                }}
+                onClose={() => setShowGenerator(false)}
+              />
+            )}
+          </>
+        )}
+      </View>
+    );
+  };
 
   return (
     <View style={{ flex: 1, backgroundColor: '#F5F5F5' }}>
@@ -326,7 +1106,7 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
               PassVault
             </Text>
             <Text style={{ fontSize: 13, color: 'rgba(255,255,255,0.85)', marginTop: 2 }}>
-              {items.length} {items.length === 1 ? 'password' : 'passwords'}
+              {items.length} {items.length === 1 ? 'item' : 'items'}
             </Text>
           </View>
           
@@ -406,6 +1186,96 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
             <Text style={{ fontSize: 18 }}>🔒</Text>
             <Text style={{ fontSize: 15, color: '#424242', fontWeight: '500' }}>Lock Vault</Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setShowMenu(false);
+              navigation.navigate('ChangePassword');
+            }}
+            style={{ 
+              paddingVertical: 16, 
+              paddingHorizontal: 20, 
+              borderBottomWidth: 1, 
+              borderBottomColor: '#E0E0E0',
+              flexDirection: 'row',
+              alignItems: 'center',
+              gap: 12
+            }}
+          >
+            <Text style={{ fontSize: 18 }}>🔑</Text>
+            <Text style={{ fontSize: 15, color: '#424242', fontWeight: '500' }}>Change Master Password</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setShowMenu(false);
+              handleRotateKey();
+            }}
+            style={{ 
+              paddingVertical: 16, 
+              paddingHorizontal: 20, 
+              borderBottomWidth: 1, 
+              borderBottomColor: '#E0E0E0',
+              flexDirection: 'row',
+              alignItems: 'center',
+              gap: 12
+            }}
+          >
+            <Text style={{ fontSize: 18 }}>♻️</Text>
+            <Text style={{ fontSize: 15, color: '#424242', fontWeight: '500' }}>Rotate Encryption Key</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setShowMenu(false);
+              handleNewRecoveryKey();
+            }}
+            style={{ 
+              paddingVertical: 16, 
+              paddingHorizontal: 20, 
+              borderBottomWidth: 1, 
+              borderBottomColor: '#E0E0E0',
+              flexDirection: 'row',
+              alignItems: 'center',
+              gap: 12
+            }}
+          >
+            <Text style={{ fontSize: 18 }}>🧾</Text>
+            <Text style={{ fontSize: 15, color: '#424242', fontWeight: '500' }}>New Recovery Key</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setShowMenu(false);
+              navigation.navigate('VaultHealth');
+            }}
+            style={{ 
+              paddingVertical: 16, 
+              paddingHorizontal: 20, 
+              borderBottomWidth: 1, 
+              borderBottomColor: '#E0E0E0',
+              flexDirection: 'row',
+              alignItems: 'center',
+              gap: 12
+            }}
+          >
+            <Text style={{ fontSize: 18 }}>🩺</Text>
+            <Text style={{ fontSize: 15, color: '#424242', fontWeight: '500' }}>Vault Health</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setShowMenu(false);
+              navigation.navigate('Settings');
+            }}
+            style={{ 
+              paddingVertical: 16, 
+              paddingHorizontal: 20, 
+              borderBottomWidth: 1, 
+              borderBottomColor: '#E0E0E0',
+              flexDirection: 'row',
+              alignItems: 'center',
+              gap: 12
+            }}
+          >
+            <Text style={{ fontSize: 18 }}>⚙️</Text>
+            <Text style={{ fontSize: 15, color: '#424242', fontWeight: '500' }}>Settings</Text>
+          </TouchableOpacity>
           <TouchableOpacity
             onPress={() => {
               setShowMenu(false);
@@ -425,6 +1295,70 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
         </View>
       )}
 
+      {/* Search */}
+      {items.length > 0 && (
+        <View style={{ backgroundColor: '#FFFFFF', paddingHorizontal: 16, paddingTop: 12, paddingBottom: folders.length > 0 || tags.length > 0 ? 0 : 12 }}>
+          <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: '#F5F5F5', borderRadius: 8, paddingHorizontal: 12 }}>
+            <Text style={{ fontSize: 16, color: '#9E9E9E' }}>🔍</Text>
+            <TextInput
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Search vault"
+              placeholderTextColor="#9E9E9E"
+              autoCapitalize="none"
+              autoCorrect={false}
+              style={{ flex: 1, paddingHorizontal: 8, paddingVertical: 10, fontSize: 15, color: '#212121' }}
+            />
+            {query !== '' && (
+              <TouchableOpacity onPress={() => setQuery('')} style={{ padding: 4 }}>
+                <Text style={{ fontSize: 16, color: '#9E9E9E' }}>✕</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => setShowSortMenu(!showSortMenu)} style={{ padding: 4, marginLeft: 4 }}>
+              <Text style={{ fontSize: 16, color: '#1976D2' }}>⇅</Text>
+            </TouchableOpacity>
+          </View>
+          {showSortMenu && (
+            <View style={{ backgroundColor: '#FFFFFF', borderRadius: 8, borderWidth: 1, borderColor: '#E0E0E0', marginTop: 8, overflow: 'hidden' }}>
+              {Object.entries(SORT_MODES).map(([mode, { label }]) => (
+                <TouchableOpacity
+                  key={mode}
+                  onPress={() => handleSortMode(mode)}
+                  style={{ paddingVertical: 12, paddingHorizontal: 16, borderBottomWidth: 1, borderBottomColor: '#F0F0F0', flexDirection: 'row', justifyContent: 'space-between' }}
+                >
+                  <Text style={{ fontSize: 14, color: '#424242', fontWeight: sortMode === mode ? '700' : '400' }}>{label}</Text>
+                  {sortMode === mode && <Text style={{ fontSize: 14, color: '#1976D2' }}>✓</Text>}
+                </TouchableOpacity>
+              ))}
+              <Text style={{ fontSize: 12, color: '#9E9E9E', padding: 12 }}>Favorites stay on top. Search results are ordered by relevance.</Text>
+            </View>
+          )}
+        </View>
+      )}
+
+      {/* Folder & Tag Filter */}
+      {(folders.length > 0 || tags.length > 0) && (
+        <View style={{ backgroundColor: '#FFFFFF', borderBottomWidth: 1, borderBottomColor: '#E0E0E0' }}>
+          <ScrollView
+            horizontal={true}
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={{ paddingHorizontal: 16, paddingVertical: 10, gap: 8 }}
+          >
+            {renderFilterChip(ALL_ITEMS, `All (${items.length})`)}
+            {folders.length > 0 && renderFilterChip(UNFILED, 'No folder')}
+            {folders.map(folder => renderFilterChip(
+              { type: 'folder', name: folder.name },
+              `📁 ${folder.name} (${folder.count})`,
+              () => {
+                setFolderAction(folder.name);
+                setFolderName(folder.name);
+              }
+            ))}
+            {tags.map(tag => renderFilterChip({ type: 'tag', name: tag.name }, `#${tag.name} (${tag.count})`))}
+          </ScrollView>
+        </View>
+      )}
+
       {/* Main Content */}
       <View style={{ flex: 1 }}>
         {items.length === 0 ? (
@@ -444,12 +1378,18 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
               Your vault is empty
             </Text>
             <Text style={{ fontSize: 14, color: '#9E9E9E', textAlign: 'center', lineHeight: 20 }}>
-              Tap the + button below to add your first password
+              Tap the + button below to add your first item
+            </Text>
+          </View>
+        ) : visibleItems.length === 0 ? (
+          <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 40 }}>
+            <Text style={{ fontSize: 14, color: '#9E9E9E', textAlign: 'center' }}>
+              {query ? `No items match "${query}"` : 'Nothing here yet'}
             </Text>
           </View>
         ) : (
           <FlatList
-            data={items}
+            data={visibleItems}
             renderItem={renderItem}
             keyExtractor={item => item.id}
             showsVerticalScrollIndicator={false}
@@ -481,14 +1421,17 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
         <Text style={{ fontSize: 32, color: '#FFFFFF', fontWeight: '300', marginTop: -2 }}>+</Text>
       </TouchableOpacity>
 
-      {/* Add Modal */}
+      {/* Add / Edit Modal */}
       <Modal
         visible={isAdding}
         animationType="slide"
         transparent={true}
-        onRequestClose={() => setIsAdding(false)}
+        onRequestClose={() => closeForm()}
       >
-        <View style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.6)', justifyContent: 'flex-end' }}>
+        <View
+          style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.6)', justifyContent: 'flex-end' }}
+          onStartShouldSetResponderCapture={captureActivity}
+        >
           <View style={{ 
             backgroundColor: '#FFFFFF', 
             borderTopLeftRadius: 20, 
@@ -504,9 +1447,11 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
 
             <View style={{ paddingHorizontal: 20, paddingTop: 12 }}>
               <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
-                <Text style={{ fontSize: 22, fontWeight: '700', color: '#212121' }}>Add New Password</Text>
+                <Text style={{ fontSize: 22, fontWeight: '700', color: '#212121' }}>
+                  {editingId ? 'Edit' : 'New'} {getItemType(newItem).label}
+                </Text>
                 <TouchableOpacity 
-                  onPress={() => setIsAdding(false)}
+                  onPress={() => closeForm()}
                   style={{ padding: 8 }}
                 >
                   <Text style={{ fontSize: 24, color: '#757575' }}>✕</Text>
@@ -514,118 +1459,106 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
               </View>
 
               <ScrollView showsVerticalScrollIndicator={false} style={{ marginBottom: 20 }}>
-                <View style={{ marginBottom: 16 }}>
-                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Name / Title *</Text>
-                  <TextInput
-                    value={newItem.name}
-                    onChangeText={(text) => setNewItem({ ...newItem, name: text })}
-                    placeholder="e.g., Gmail, Facebook"
-                    placeholderTextColor="#9E9E9E"
-                    style={{
-                      backgroundColor: '#FAFAFA',
-                      borderWidth: 1,
-                      borderColor: '#E0E0E0',
-                      borderRadius: 8,
-                      paddingHorizontal: 16,
-                      paddingVertical: 14,
-                      fontSize: 15,
-                      color: '#212121'
-                    }}
-                  />
-                </View>
+                {/* Type, fixed once the item exists */}
+                {!editingId && (
+                  <ScrollView
+                    horizontal={true}
+                    showsHorizontalScrollIndicator={false}
+                    style={{ marginBottom: 16 }}
+                    contentContainerStyle={{ gap: 8 }}
+                  >
+                    {Object.entries(ITEM_TYPES).map(([type, schema]) => (
+                      <TouchableOpacity
+                        key={type}
+                        onPress={() => handleTypeChange(type)}
+                        style={{
+                          paddingHorizontal: 12,
+                          paddingVertical: 8,
+                          borderRadius: 16,
+                          borderWidth: 1,
+                          borderColor: newItem.type === type ? '#1976D2' : '#E0E0E0',
+                          backgroundColor: newItem.type === type ? '#E3F2FD' : '#FFFFFF'
+                        }}
+                      >
+                        <Text style={{ fontSize: 13, color: newItem.type === type ? '#1976D2' : '#616161', fontWeight: '600' }}>
+                          {schema.icon} {schema.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </ScrollView>
+                )}
 
-                <View style={{ marginBottom: 16 }}>
-                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Website URL</Text>
-                  <TextInput
-                    value={newItem.url}
-                    onChangeText={(text) => setNewItem({ ...newItem, url: text })}
-                    placeholder="https://example.com"
-                    placeholderTextColor="#9E9E9E"
-                    keyboardType="url"
-                    autoCapitalize="none"
-                    style={{
-                      backgroundColor: '#FAFAFA',
-                      borderWidth: 1,
-                      borderColor: '#E0E0E0',
-                      borderRadius: 8,
-                      paddingHorizontal: 16,
-                      paddingVertical: 14,
-                      fontSize: 15,
-                      color: '#212121'
-                    }}
-                  />
-                </View>
+                {getItemType(newItem).fields.map(renderField)}
 
+                {/* Folder & Tags */}
                 <View style={{ marginBottom: 16 }}>
-                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Username / Email *</Text>
+                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Folder</Text>
                   <TextInput
-                    value={newItem.username}
-                    onChangeText={(text) => setNewItem({ ...newItem, username: text })}
-                    placeholder="username@example.com"
+                    value={newItem.folder}
+                    onChangeText={(text) => setNewItem({ ...newItem, folder: text })}
+                    placeholder="No folder"
                     placeholderTextColor="#9E9E9E"
-                    keyboardType="email-address"
-                    autoCapitalize="none"
-                    style={{
-                      backgroundColor: '#FAFAFA',
-                      borderWidth: 1,
-                      borderColor: '#E0E0E0',
-                      borderRadius: 8,
-                      paddingHorizontal: 16,
-                      paddingVertical: 14,
-                      fontSize: 15,
-                      color: '#212121'
-                    }}
+                    style={FIELD_INPUT_STYLE}
                   />
+                  {folders.length > 0 && (
+                    <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 }}>
+                      {folders.map(folder => (
+                        <TouchableOpacity
+                          key={folder.name}
+                          onPress={() => setNewItem({ ...newItem, folder: folder.name })}
+                          style={{ paddingHorizontal: 10, paddingVertical: 6, borderRadius: 6, borderWidth: 1, borderColor: newItem.folder === folder.name ? '#1976D2' : '#E0E0E0', backgroundColor: newItem.folder === folder.name ? '#E3F2FD' : '#FFFFFF' }}
+                        >
+                          <Text style={{ fontSize: 13, color: '#424242' }}>📁 {folder.name}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
                 </View>
 
-                <View style={{ marginBottom: 16 }}>
-                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Password *</Text>
+                <View style={{ marginBottom: 24 }}>
+                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Tags</Text>
+                  {newItem.tags.length > 0 && (
+                    <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginBottom: 8 }}>
+                      {newItem.tags.map(tag => (
+                        <TouchableOpacity
+                          key={tag}
+                          onPress={() => setNewItem({ ...newItem, tags: newItem.tags.filter(other => other !== tag) })}
+                          style={{ paddingHorizontal: 10, paddingVertical: 6, borderRadius: 12, backgroundColor: '#E3F2FD' }}
+                        >
+                          <Text style={{ fontSize: 13, color: '#1976D2' }}>#{tag} ✕</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
                   <TextInput
-                    value={newItem.password}
-                    onChangeText={(text) => setNewItem({ ...newItem, password: text })}
-                    placeholder="Enter password"
+                    value={tagInput}
+                    onChangeText={handleTagInput}
+                    onSubmitEditing={() => handleTagInput(tagInput + ',')}
+                    placeholder="Add tags, separated by commas"
                     placeholderTextColor="#9E9E9E"
-                    secureTextEntry={true}
-                    style={{
-                      backgroundColor: '#FAFAFA',
-                      borderWidth: 1,
-                      borderColor: '#E0E0E0',
-                      borderRadius: 8,
-                      paddingHorizontal: 16,
-                      paddingVertical: 14,
-                      fontSize: 15,
-                      color: '#212121'
-                    }}
+                    autoCapitalize="none"
+                    style={FIELD_INPUT_STYLE}
                   />
                 </View>
 
-                <View style={{ marginBottom: 24 }}>
-                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161', marginBottom: 8 }}>Note (Optional)</Text>
-                  <TextInput
-                    value={newItem.note}
-                    onChangeText={(text) => setNewItem({ ...newItem, note: text })}
-                    placeholder="Additional notes..."
-                    placeholderTextColor="#9E9E9E"
-                    multiline={true}
-                    numberOfLines={3}
-                    style={{
-                      backgroundColor: '#FAFAFA',
-                      borderWidth: 1,
-                      borderColor: '#E0E0E0',
-                      borderRadius: 8,
-                      paddingHorizontal: 16,
-                      paddingVertical: 14,
-                      fontSize: 15,
-                      color: '#212121',
-                      textAlignVertical: 'top',
-                      minHeight: 80
-                    }}
-                  />
+                {/* Custom Fields */}
+                {newItem.fields.map(renderCustomField)}
+                <View style={{ flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 24 }}>
+                  <Text style={{ fontSize: 13, fontWeight: '600', color: '#616161' }}>+ Add field:</Text>
+                  {Object.entries(CUSTOM_FIELD_KINDS).map(([kind, { label }]) => (
+                    <TouchableOpacity
+                      key={kind}
+                      onPress={() => setNewItem({ ...newItem, fields: [...newItem.fields, newCustomField(kind)] })}
+                      style={{ paddingHorizontal: 10, paddingVertical: 6, borderRadius: 6, borderWidth: 1, borderColor: '#BBDEFB', backgroundColor: '#F5F9FF' }}
+                    >
+                      <Text style={{ fontSize: 13, color: '#1976D2' }}>{label}</Text>
+                    </TouchableOpacity>
+                  ))}
                 </View>
 
                 <View style={{ flexDirection: 'row', gap: 12, marginBottom: 16 }}>
                   <TouchableOpacity
-                    onPress={() => setIsAdding(false)}
+                    onPress={() => closeForm()}
                     style={{ 
                       flex: 1, 
                       backgroundColor: '#FAFAFA', 
@@ -638,7 +1571,7 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
                     <Text style={{ textAlign: 'center', color: '#616161', fontWeight: '600', fontSize: 16 }}>Cancel</Text>
                   </TouchableOpacity>
                   <TouchableOpacity
-                    onPress={handleAddItem}
+                    onPress={handleSaveItem}
                     style={{ 
                       flex: 1, 
                       backgroundColor: '#1976D2', 
@@ -651,7 +1584,7 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
                       shadowRadius: 4
                     }}
                   >
-                    <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '700', fontSize: 16 }}>Save Password</Text>
+                    <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '700', fontSize: 16 }}>{editingId ? 'Save Changes' : 'Save'}</Text>
                   </TouchableOpacity>
                 </View>
               </ScrollView>
@@ -659,6 +1592,52 @@ export default function VaultScreen({ token, keyPair, onLock, onLogout }) {
           </View>
         </View>
       </Modal>
+
+      {/* Folder Rename / Delete */}
+      <Modal
+        visible={folderAction !== null}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => setFolderAction(null)}
+      >
+        <View
+          style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.6)', justifyContent: 'center', padding: 24 }}
+          onStartShouldSetResponderCapture={captureActivity}
+        >
+          <View style={{ backgroundColor: '#FFFFFF', borderRadius: 12, padding: 20 }}>
+            <Text style={{ fontSize: 18, fontWeight: '700', color: '#212121', marginBottom: 16 }}>📁 {folderAction}</Text>
+            <TextInput
+              value={folderName}
+              onChangeText={setFolderName}
+              placeholder="Folder name"
+              placeholderTextColor="#9E9E9E"
+              style={FIELD_INPUT_STYLE}
+            />
+            <View style={{ flexDirection: 'row', gap: 10, marginTop: 16 }}>
+              <TouchableOpacity
+                onPress={handleDeleteFolder}
+                style={{ flex: 1, borderRadius: 8, paddingVertical: 12, borderWidth: 1.5, borderColor: '#D32F2F' }}
+              >
+                <Text style={{ textAlign: 'center', color: '#D32F2F', fontWeight: '600', fontSize: 14 }}>Delete</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setFolderAction(null)}
+                style={{ flex: 1, borderRadius: 8, paddingVertical: 12, borderWidth: 1, borderColor: '#E0E0E0' }}
+              >
+                <Text style={{ textAlign: 'center', color: '#616161', fontWeight: '600', fontSize: 14 }}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={handleRenameFolder}
+                style={{ flex: 1, backgroundColor: '#1976D2', borderRadius: 8, paddingVertical: 12 }}
+              >
+                <Text style={{ textAlign: 'center', color: '#FFFFFF', fontWeight: '700', fontSize: 14 }}>Rename</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <ClipboardToast />
     </View>
   );
 }
@@ -0,0 +1,31 @@
+import { shouldAutoLock, AUTO_LOCK_OPTIONS, DEFAULT_AUTO_LOCK } from '../autoLock';
+
+const MINUTE = 60 * 1000;
+
+test('timed options lock after that long without interaction, in any app state', () => {
+  expect(shouldAutoLock('1m', { idleFor: MINUTE - 1, appState: 'active' })).toBe(false);
+  expect(shouldAutoLock('1m', { idleFor: MINUTE, appState: 'active' })).toBe(true);
+  expect(shouldAutoLock('5m', { idleFor: 4 * MINUTE, appState: 'background' })).toBe(false);
+  expect(shouldAutoLock('15m', { idleFor: 20 * MINUTE, appState: 'background' })).toBe(true);
+});
+
+test('immediately locks as soon as the app is not in front', () => {
+  expect(shouldAutoLock('immediately', { idleFor: 0, appState: 'inactive' })).toBe(true);
+  expect(shouldAutoLock('immediately', { idleFor: 0, appState: 'background' })).toBe(true);
+  expect(shouldAutoLock('immediately', { idleFor: 60 * MINUTE, appState: 'active' })).toBe(false);
+});
+
+test('background ignores the brief inactive state', () => {
+  expect(shouldAutoLock('background', { idleFor: 0, appState: 'inactive' })).toBe(false);
+  expect(shouldAutoLock('background', { idleFor: 0, appState: 'background' })).toBe(true);
+});
+
+test('never does not lock', () => {
+  expect(shouldAutoLock('never', { idleFor: 24 * 60 * MINUTE, appState: 'background' })).toBe(false);
+});
+
+test('unknown settings fall back to the default', () => {
+  expect(AUTO_LOCK_OPTIONS[DEFAULT_AUTO_LOCK].timeout).toBe(5 * MINUTE);
+  expect(shouldAutoLock('bogus', { idleFor: 5 * MINUTE, appState: 'active' })).toBe(true);
+  expect(shouldAutoLock(undefined, { idleFor: MINUTE, appState: 'active' })).toBe(false);
+});
@@ -0,0 +1,87 @@
+import * as Clipboard from 'expo-clipboard';
+import { copySecret, clearCopiedSecret, subscribeClipboard } from '../clipboard';
+
+// In-memory system clipboard
+jest.mock('expo-clipboard', () => {
+  let content = '';
+  return {
+    setStringAsync: jest.fn(async (value) => { content = value; }),
+    getStringAsync: jest.fn(async () => content)
+  };
+});
+
+// Let the async clear run after a timer fires
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+beforeEach(async () => {
+  await clearCopiedSecret();
+  await Clipboard.setStringAsync('');
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('the copied value is cleared after the timeout', async () => {
+  await copySecret('hunter2', 'Password', 30000);
+  expect(await Clipboard.getStringAsync()).toBe('hunter2');
+
+  jest.advanceTimersByTime(29999);
+  await flush();
+  expect(await Clipboard.getStringAsync()).toBe('hunter2');
+
+  jest.advanceTimersByTime(1);
+  await flush();
+  expect(await Clipboard.getStringAsync()).toBe('');
+});
+
+test('something copied since is left alone', async () => {
+  await copySecret('hunter2', 'Password', 30000);
+  await Clipboard.setStringAsync('a link from the browser');
+
+  jest.advanceTimersByTime(30000);
+  await flush();
+  expect(await Clipboard.getStringAsync()).toBe('a link from the browser');
+});
+
+test('copying again restarts the countdown for the new value', async () => {
+  await copySecret('first', 'Password', 30000);
+  jest.advanceTimersByTime(20000);
+  await copySecret('me@example.com', 'Username', 30000);
+
+  jest.advanceTimersByTime(20000);
+  await flush();
+  expect(await Clipboard.getStringAsync()).toBe('me@example.com');
+
+  jest.advanceTimersByTime(10000);
+  await flush();
+  expect(await Clipboard.getStringAsync()).toBe('');
+});
+
+test('without a timeout the value stays until cleared, as on lock', async () => {
+  await copySecret('123456', 'One-time code', 0);
+  jest.advanceTimersByTime(10 * 60 * 1000);
+  await flush();
+  expect(await Clipboard.getStringAsync()).toBe('123456');
+
+  expect(await clearCopiedSecret()).toBe(true);
+  expect(await Clipboard.getStringAsync()).toBe('');
+  expect(await clearCopiedSecret()).toBe(false);
+});
+
+test('subscribers follow the countdown state', async () => {
+  const states = [];
+  const unsubscribe = subscribeClipboard(state => states.push(state));
+
+  await copySecret('hunter2', 'Password', 15000);
+  await clearCopiedSecret();
+  unsubscribe();
+
+  expect(states).toHaveLength(3);
+  expect(states[0]).toBeNull();
+  expect(states[1]).toMatchObject({ label: 'Password' });
+  expect(states[1].expiresAt - states[1].copiedAt).toBe(15000);
+  expect(states[1]).not.toHaveProperty('value');
+  expect(states[2]).toBeNull();
+});
@@ -0,0 +1,83 @@
+import { estimateStrength, formatCrackTime } from '../strength';
+import { validateMasterPassword } from '../validation';
+
+describe('estimateStrength', () => {
+  test.each([
+    'password',
+    'P@ssw0rd',
+    'qwertyuiop',
+    '1qaz2wsx3edc',
+    'aaaaaaaaaaaa',
+    'abcabcabcabc',
+    '19/04/1987',
+    'abcdefghijkl'
+  ])('%s is very weak or weak', (password) => {
+    expect(estimateStrength(password).score).toBeLessThanOrEqual(1);
+  });
+
+  test.each([
+    'correct-horse-battery-staple-7',
+    'x7#Lq9!vR2mZ'
+  ])('%s is strong', (password) => {
+    expect(estimateStrength(password).score).toBeGreaterThanOrEqual(3);
+  });
+
+  test('l33t substitutions barely help', () => {
+    const plain = estimateStrength('sunshine');
+    const l33t = estimateStrength('$un$h1ne');
+    expect(l33t.score).toBe(plain.score);
+    expect(l33t.suggestions.some(s => s.includes('Substitutions'))).toBe(true);
+  });
+
+  test('the email address counts as known to the attacker', () => {
+    const password = 'jsmithrocks';
+    const withEmail = estimateStrength(password, ['jsmith@example.com']);
+    expect(withEmail.guesses).toBeLessThan(estimateStrength(password).guesses);
+    expect(withEmail.warning).toBe('Avoid your name or email address');
+  });
+
+  test('weak passwords come with a warning and suggestions', () => {
+    const result = estimateStrength('qwerty2024');
+    expect(result.warning).not.toBe('');
+    expect(result.suggestions.length).toBeGreaterThan(0);
+  });
+
+  test('strong passwords need no feedback', () => {
+    const result = estimateStrength('correct-horse-battery-staple-7');
+    expect(result.warning).toBe('');
+    expect(result.suggestions).toEqual([]);
+  });
+
+  test('very long input stays fast', () => {
+    const start = Date.now();
+    estimateStrength('a1!'.repeat(2000));
+    expect(Date.now() - start).toBeLessThan(2000);
+  });
+});
+
+describe('formatCrackTime', () => {
+  test.each([
+    [0.2, 'less than a second'],
+    [1, '1 second'],
+    [90, '2 minutes'],
+    [3 * 86400, '3 days'],
+    [1e12, 'centuries']
+  ])('%d seconds is %s', (seconds, text) => {
+    expect(formatCrackTime(seconds)).toBe(text);
+  });
+});
+
+describe('validateMasterPassword', () => {
+  test('rejects passwords below the minimum score', () => {
+    expect(validateMasterPassword('Password1234', 'Password1234', { minScore: 3 })).toMatch('too weak');
+  });
+
+  test('accepts strong passwords', () => {
+    const password = 'correct-horse-battery-staple-7';
+    expect(validateMasterPassword(password, password, { minScore: 3 })).toBeNull();
+  });
+
+  test('checks the confirmation first', () => {
+    expect(validateMasterPassword('a', 'b', { minScore: 4 })).toBe('Master passwords do not match');
+  });
+});
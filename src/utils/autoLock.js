@@ -0,0 +1,43 @@
+// Auto-lock policy
+// Timed options count from the last interaction, including time spent in
+// the background; the others react to the app leaving the foreground.
+// useAutoLock.js applies the policy to the running app.
+
+const MINUTE = 60 * 1000;
+
+export const AUTO_LOCK_OPTIONS = {
+  immediately: { label: 'Immediately', description: 'As soon as the app leaves the screen, even briefly' },
+  '1m': { label: 'After 1 minute', timeout: MINUTE },
+  '5m': { label: 'After 5 minutes', timeout: 5 * MINUTE },
+  '15m': { label: 'After 15 minutes', timeout: 15 * MINUTE },
+  background: { label: 'When the app is backgrounded', description: 'Switching to another app or the home screen' },
+  never: { label: 'Never', description: 'Only when you lock the vault yourself' }
+};
+
+export const DEFAULT_AUTO_LOCK = '5m';
+
+// How often inactivity is checked while the app is open
+export const AUTO_LOCK_CHECK_INTERVAL = 5000;
+
+/**
+ * Whether the vault should lock now.
+ * @param {string} mode - Key of AUTO_LOCK_OPTIONS
+ * @param {Object} state
+ * @param {number} state.idleFor - Milliseconds since the last interaction
+ * @param {string} state.appState - React Native AppState: 'active', 'inactive' or 'background'
+ * @returns {boolean}
+ */
+export function shouldAutoLock(mode, { idleFor, appState }) {
+  const option = AUTO_LOCK_OPTIONS[mode] || AUTO_LOCK_OPTIONS[DEFAULT_AUTO_LOCK];
+  if (option.timeout) {
+    return idleFor >= option.timeout;
+  }
+  switch (mode) {
+    case 'immediately':
+      return appState !== 'active';
+    case 'background':
+      return appState === 'background';
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,76 @@
+// Clipboard for secrets
+// A copied value is cleared after a timeout and on lock/logout, but only
+// while the clipboard still holds it: whatever the user copied since is
+// left alone. One value is tracked at a time; copying again restarts the
+// countdown.
+
+import * as Clipboard from 'expo-clipboard';
+
+let copied = null; // { value, label, copiedAt, expiresAt, timer }
+const listeners = new Set();
+
+const publicState = () => (copied
+  ? { label: copied.label, copiedAt: copied.copiedAt, expiresAt: copied.expiresAt }
+  : null);
+
+function notify() {
+  const state = publicState();
+  listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Follow the tracked copy, for the countdown toast. The listener is called
+ * right away and on every change with { label, copiedAt, expiresAt } or null.
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeClipboard(listener) {
+  listeners.add(listener);
+  listener(publicState());
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Copy a secret and schedule clearing it.
+ * @param {string} value
+ * @param {string} label - What was copied, e.g. 'Password'
+ * @param {number} timeout - Milliseconds until cleared; 0 clears on lock/logout only
+ * @returns {Promise<void>}
+ */
+export async function copySecret(value, label, timeout) {
+  await Clipboard.setStringAsync(value);
+
+  if (copied) clearTimeout(copied.timer);
+  const now = Date.now();
+  copied = {
+    value,
+    label,
+    copiedAt: now,
+    expiresAt: timeout > 0 ? now + timeout : null,
+    timer: timeout > 0 ? setTimeout(clearCopiedSecret, timeout) : null
+  };
+  notify();
+}
+
+/**
+ * Clear the tracked secret if the clipboard still holds it.
+ * @returns {Promise<boolean>} Whether the clipboard was cleared
+ */
+export async function clearCopiedSecret() {
+  if (!copied) return false;
+
+  const { value, timer } = copied;
+  clearTimeout(timer);
+  copied = null;
+  notify();
+
+  try {
+    if ((await Clipboard.getStringAsync()) === value) {
+      await Clipboard.setStringAsync('');
+      return true;
+    }
+  } catch (err) {
+    console.error('Failed to clear clipboard:', err);
+  }
+  return false;
+}
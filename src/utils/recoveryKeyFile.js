@@ -0,0 +1,61 @@
+// Recovery key file export for React Native
+
+import { Alert } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { whileAutoLockPaused } from './useAutoLock';
+
+/**
+ * Write the recovery key to a text file and open the share sheet to save it.
+ * @param {string} email - Account email
+ * @param {string} recoveryKey - Encoded recovery key
+ * @returns {Promise<boolean>} False if sharing is not available on this device
+ */
+export const shareRecoveryKey = async (email, recoveryKey) => {
+  const filename = `PassVault_Recovery_Key_${email.replace('@', '_')}.txt`;
+  const content = `PassVault Recovery Key\n\nEmail: ${email}\n\nRecovery Key:\n${recoveryKey}\n\nIMPORTANT:\n- Keep this key safe and secure\n- This is the ONLY way to recover your vault if you forget your master password\n- Never share this key with anyone\n- Store it in a safe place (not on your device)\n\nGenerated: ${new Date().toLocaleString()}`;
+  
+  const fileUri = FileSystem.documentDirectory + filename;
+  await FileSystem.writeAsStringAsync(fileUri, content);
+  
+  if (!(await Sharing.isAvailableAsync())) {
+    return false;
+  }
+
+  // The share sheet moves the app to the background on Android
+  await whileAutoLockPaused(() => Sharing.shareAsync(fileUri, {
+    mimeType: 'text/plain',
+    dialogTitle: 'Save Recovery Key'
+  }));
+  return true;
+};
+
+/**
+ * Share the recovery key file, then ask whether it was stored: the share
+ * sheet reports no result, so a dismissed sheet looks like a saved file.
+ * Errors are shown to the user.
+ * @param {string} email - Account email
+ * @param {string} recoveryKey - Encoded recovery key
+ * @returns {Promise<boolean>} True only once the user confirms the file was saved
+ */
+export const saveRecoveryKeyFile = async (email, recoveryKey) => {
+  try {
+    if (!(await shareRecoveryKey(email, recoveryKey))) {
+      Alert.alert('Error', 'Sharing is not available on this device');
+      return false;
+    }
+  } catch (err) {
+    Alert.alert('Error', 'Failed to save recovery key: ' + err.message);
+    return false;
+  }
+
+  return new Promise(resolve => Alert.alert(
+    'Recovery Key Saved?',
+    'Only continue once the recovery key file is stored somewhere safe, off this device.',
+    [
+      { text: 'Not Saved', style: 'cancel', onPress: () => resolve(false) },
+      { text: 'Saved', onPress: () => resolve(true) }
+    ],
+    { cancelable: false }
+  ));
+};
@@ -3,6 +3,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as SecureStore from 'expo-secure-store';
 import 'react-native-get-random-values';
+import { BREACH_RANGE_URL } from '../vault/breach';
 
 // Storage Keys
 const KEYS = {
@@ -14,6 +15,79 @@ const KEYS = {
   SESSION_MASTER_KEY: 'session_master_key',
   SESSION_DEK: 'session_dek',
   SESSION_ACTIVE: 'session_active',
+  SESSION_KEYS: 'session_keys',
+  SESSION_DEVICE_KEY: 'session_device_key',
+  SETTINGS: 'settings',
+  LAST_ACTIVE: 'last_active',
+  BIOMETRIC_UNLOCK: 'biometric_unlock',
+  BIOMETRIC_MASTER_KEY: 'biometric_master_key',
+};
+
+// The device key can only be read after biometric authentication; there is
+// no device passcode fallback (see BIOMETRIC_KEY_OPTIONS). It lives in its own
+// keychain service: authenticated entries cannot share one with plain entries
+const DEVICE_KEY_OPTIONS = {
+  keychainService: 'passvault_session',
+  requireAuthentication: true,
+  authenticationPrompt: 'Unlock your vault'
+};
+
+// The master key for biometric unlock. requireAuthentication alone is what
+// makes an entry biometric-only: expo-secure-store binds it to the current
+// biometric set on iOS and to strong biometrics on Android, with no passcode
+// fallback, and the OS invalidates it when enrollment changes. On top of that
+// the entry never leaves this device (no backups) and is deleted with the
+// device passcode
+const BIOMETRIC_KEY_OPTIONS = {
+  keychainService: 'passvault_biometric',
+  keychainAccessible: SecureStore.WHEN_PASSCODE_SET_THIS_DEVICE_ONLY,
+  requireAuthentication: true,
+  authenticationPrompt: 'Unlock PassVault'
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (string) => new Uint8Array(atob(string).split('').map(c => c.charCodeAt(0)));
+
+// Settings (AsyncStorage - not secret)
+export const DEFAULT_SETTINGS = {
+  // How long persisted session keys stay valid, in ms. 0 keeps keys in memory only
+  sessionLifetime: 8 * 60 * 60 * 1000,
+  // Weakest strength score (0-4) accepted for a new master password
+  minMasterPasswordScore: 3,
+  // Vault list order, a key of SORT_MODES in vault/sort.js
+  sortMode: 'name',
+  // Previous passwords kept per item, 0 keeps none
+  passwordHistoryRetention: 10,
+  // Vault Health flags passwords unchanged for longer than this
+  passwordMaxAgeMonths: 12,
+  // Copied secrets are cleared from the clipboard after this, 0 only on lock
+  clipboardClearSeconds: 30,
+  // When the open vault locks by itself, a key of AUTO_LOCK_OPTIONS in utils/autoLock.js
+  autoLock: '5m',
+  // Biometric unlock asks for the master password again after this many days
+  biometricPasswordDays: 7,
+  // Breach check range endpoint, the hash prefix is appended (see vault/breach.js)
+  breachRangeUrl: BREACH_RANGE_URL
+};
+
+export const getSettings = async () => {
+  try {
+    const data = await AsyncStorage.getItem(KEYS.SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+  } catch (err) {
+    console.error('Failed to get settings:', err);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const updateSettings = async (changes) => {
+  const settings = { ...(await getSettings()), ...changes };
+  try {
+    await AsyncStorage.setItem(KEYS.SETTINGS, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Failed to update settings:', err);
+  }
+  return settings;
 };
 
 // Auth Token (SecureStore for sensitive data)
@@ -114,6 +188,26 @@ export const setVaultLastModified = async (timestamp) => {
   }
 };
 
+// Last user interaction before the app left the foreground, so auto-lock
+// also applies after the app was killed
+export const getLastActiveAt = async () => {
+  try {
+    const timestamp = await AsyncStorage.getItem(KEYS.LAST_ACTIVE);
+    return timestamp ? Number(timestamp) : null;
+  } catch (err) {
+    console.error('Failed to get last active time:', err);
+    return null;
+  }
+};
+
+export const setLastActiveAt = async (timestamp) => {
+  try {
+    await AsyncStorage.setItem(KEYS.LAST_ACTIVE, String(timestamp));
+  } catch (err) {
+    console.error('Failed to set last active time:', err);
+  }
+};
+
 // Salt (SecureStore)
 export const getSalt = async () => {
   try {
@@ -152,30 +246,85 @@ export const removeSalt = async () => {
 };
 
 // Session Keys (in-memory for security, with SecureStore backup)
+// The persisted copy is encrypted under a random device key that needs user
+// presence to read, and is discarded once the session lifetime has passed.
 let sessionMasterKey = null;
 let sessionDEK = null;
 
+// Binds the persisted keys to their creation time so it cannot be moved forward
+const sessionAAD = (createdAt) => new TextEncoder().encode(`passvault|session|${createdAt}`);
+
+const importDeviceKey = (bytes) => crypto.subtle.importKey(
+  'raw',
+  bytes,
+  { name: 'AES-GCM', length: 256 },
+  false,
+  ['encrypt', 'decrypt']
+);
+
+// Only the persisted copy; in-memory keys are left alone
+export const removePersistedSessionKeys = async () => {
+  try {
+    await SecureStore.deleteItemAsync(KEYS.SESSION_KEYS);
+    await SecureStore.deleteItemAsync(KEYS.SESSION_DEVICE_KEY, { keychainService: DEVICE_KEY_OPTIONS.keychainService });
+    // Raw keys written by older versions
+    await SecureStore.deleteItemAsync(KEYS.SESSION_MASTER_KEY);
+    await SecureStore.deleteItemAsync(KEYS.SESSION_DEK);
+    await SecureStore.deleteItemAsync(KEYS.SESSION_ACTIVE);
+  } catch (err) {
+    console.error('Failed to remove persisted session keys:', err);
+  }
+};
+
 export const setSessionKeys = async (masterKey, dek) => {
   sessionMasterKey = masterKey;
   sessionDEK = dek;
   
+  // A new session always gets a new device key
+  await removePersistedSessionKeys();
+
   try {
+    const { sessionLifetime } = await getSettings();
+    if (!sessionLifetime) return;
+
+    if (!SecureStore.canUseBiometricAuthentication()) {
+      console.log('Biometrics unavailable, session keys kept in memory only');
+      return;
+    }
+
     // Export CryptoKey objects to raw bytes first
     const masterKeyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', masterKey));
     const dekBytes = new Uint8Array(await crypto.subtle.exportKey('raw', dek));
+    const keyBytes = new Uint8Array(masterKeyBytes.length + dekBytes.length);
+    keyBytes.set(masterKeyBytes);
+    keyBytes.set(dekBytes, masterKeyBytes.length);
     
-    // Store as base64 in SecureStore
-    const masterKeyString = btoa(String.fromCharCode(...masterKeyBytes));
-    const dekString = btoa(String.fromCharCode(...dekBytes));
+    const deviceKeyBytes = crypto.getRandomValues(new Uint8Array(32));
+    await SecureStore.setItemAsync(KEYS.SESSION_DEVICE_KEY, toBase64(deviceKeyBytes), DEVICE_KEY_OPTIONS);
+
+    const createdAt = Date.now();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: sessionAAD(createdAt) },
+      await importDeviceKey(deviceKeyBytes),
+      keyBytes
+    );
     
-    await SecureStore.setItemAsync(KEYS.SESSION_MASTER_KEY, masterKeyString);
-    await SecureStore.setItemAsync(KEYS.SESSION_DEK, dekString);
-    await SecureStore.setItemAsync(KEYS.SESSION_ACTIVE, 'true');
+    await SecureStore.setItemAsync(KEYS.SESSION_KEYS, JSON.stringify({
+      iv: toBase64(iv),
+      data: toBase64(new Uint8Array(encrypted)),
+      createdAt
+    }));
   } catch (err) {
     console.error('Failed to store session keys:', err);
+    await removePersistedSessionKeys();
   }
 };
 
+const isSessionExpired = (createdAt, sessionLifetime) => (
+  !sessionLifetime || Date.now() >= createdAt + sessionLifetime
+);
+
 export const getSessionKeys = async () => {
   // Return in-memory keys if available
   if (sessionMasterKey && sessionDEK) {
@@ -183,23 +332,39 @@ export const getSessionKeys = async () => {
   }
   
   try {
-    // Restore from SecureStore
-    const isActive = await SecureStore.getItemAsync(KEYS.SESSION_ACTIVE);
-    if (isActive !== 'true') return null;
+    const stored = await SecureStore.getItemAsync(KEYS.SESSION_KEYS);
+    if (!stored) {
+      // Unwrapped keys from older versions are never restored
+      await removePersistedSessionKeys();
+      return null;
+    }
     
-    const masterKeyString = await SecureStore.getItemAsync(KEYS.SESSION_MASTER_KEY);
-    const dekString = await SecureStore.getItemAsync(KEYS.SESSION_DEK);
+    const { iv, data, createdAt } = JSON.parse(stored);
+    const { sessionLifetime } = await getSettings();
+    if (isSessionExpired(createdAt, sessionLifetime)) {
+      console.log('Persisted session expired');
+      await removePersistedSessionKeys();
+      return null;
+    }
     
-    if (!masterKeyString || !dekString) return null;
+    // Prompts for biometrics. Resolves null when the key
+    // was invalidated (e.g. biometrics changed)
+    const deviceKeyString = await SecureStore.getItemAsync(KEYS.SESSION_DEVICE_KEY, DEVICE_KEY_OPTIONS);
+    if (!deviceKeyString) {
+      await removePersistedSessionKeys();
+      return null;
+    }
     
-    // Decode from base64 to Uint8Array
-    const masterKeyBytes = new Uint8Array(atob(masterKeyString).split('').map(c => c.charCodeAt(0)));
-    const dekBytes = new Uint8Array(atob(dekString).split('').map(c => c.charCodeAt(0)));
+    const keyBytes = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(iv), additionalData: sessionAAD(createdAt) },
+      await importDeviceKey(fromBase64(deviceKeyString)),
+      fromBase64(data)
+    ));
     
     // Re-import as CryptoKey objects
     sessionMasterKey = await crypto.subtle.importKey(
       'raw',
-      masterKeyBytes,
+      keyBytes.slice(0, 32),
       { name: 'AES-GCM', length: 256 },
       true,
       ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
@@ -207,7 +372,7 @@ export const getSessionKeys = async () => {
     
     sessionDEK = await crypto.subtle.importKey(
       'raw',
-      dekBytes,
+      keyBytes.slice(32),
       { name: 'AES-GCM', length: 256 },
       true,
       ['encrypt', 'decrypt']
@@ -215,6 +380,7 @@ export const getSessionKeys = async () => {
     
     return { masterKey: sessionMasterKey, dek: sessionDEK };
   } catch (err) {
+    // Includes a cancelled authentication prompt: fall back to the unlock screen
     console.error('Failed to restore session keys:', err);
     return null;
   }
@@ -224,26 +390,120 @@ export const clearSessionKeys = async () => {
   sessionMasterKey = null;
   sessionDEK = null;
   
-  try {
-    await SecureStore.deleteItemAsync(KEYS.SESSION_MASTER_KEY);
-    await SecureStore.deleteItemAsync(KEYS.SESSION_DEK);
-    await SecureStore.deleteItemAsync(KEYS.SESSION_ACTIVE);
-  } catch (err) {
-    console.error('Failed to clear session keys:', err);
-  }
+  await removePersistedSessionKeys();
 };
 
 export const isSessionActive = async () => {
   if (sessionMasterKey && sessionDEK) return true;
   
   try {
-    const isActive = await SecureStore.getItemAsync(KEYS.SESSION_ACTIVE);
-    return isActive === 'true';
+    const stored = await SecureStore.getItemAsync(KEYS.SESSION_KEYS);
+    if (!stored) return false;
+
+    const { sessionLifetime } = await getSettings();
+    return !isSessionExpired(JSON.parse(stored).createdAt, sessionLifetime);
   } catch (err) {
     return false;
   }
 };
 
+// Biometric Unlock (opt-in)
+// The master key is kept in an entry only biometrics can read. Alongside it
+// (readable without a prompt) is the envelope salt it belongs to: the salt
+// changes with the master password, which invalidates the stored key, and
+// the time the master password was last entered.
+const DAY = 24 * 60 * 60 * 1000;
+
+const getBiometricState = async () => {
+  try {
+    const stored = await SecureStore.getItemAsync(KEYS.BIOMETRIC_UNLOCK);
+    return stored ? JSON.parse(stored) : null;
+  } catch (err) {
+    console.error('Failed to get biometric unlock state:', err);
+    return null;
+  }
+};
+
+export const isBiometricUnlockEnabled = async () => Boolean(await getBiometricState());
+
+// Throws if the key cannot be stored (e.g. no biometrics enrolled)
+export const enableBiometricUnlock = async (masterKey, salt) => {
+  const keyBytes = new Uint8Array(await crypto.subtle.exportKey('raw', masterKey));
+  await SecureStore.setItemAsync(KEYS.BIOMETRIC_MASTER_KEY, toBase64(keyBytes), BIOMETRIC_KEY_OPTIONS);
+  await SecureStore.setItemAsync(KEYS.BIOMETRIC_UNLOCK, JSON.stringify({
+    salt: toBase64(salt),
+    verifiedAt: Date.now()
+  }));
+};
+
+export const disableBiometricUnlock = async () => {
+  try {
+    await SecureStore.deleteItemAsync(KEYS.BIOMETRIC_UNLOCK);
+    await SecureStore.deleteItemAsync(KEYS.BIOMETRIC_MASTER_KEY, { keychainService: BIOMETRIC_KEY_OPTIONS.keychainService });
+  } catch (err) {
+    console.error('Failed to disable biometric unlock:', err);
+  }
+};
+
+/**
+ * Whether biometric unlock can be offered, without prompting.
+ * @param {Uint8Array} [salt] - Salt of the local envelope
+ * @returns {Promise<string>} 'disabled', 'ready', 'expired' (master password
+ *   due) or 'invalidated' (master password changed since it was enabled)
+ */
+export const getBiometricUnlockStatus = async (salt) => {
+  const state = await getBiometricState();
+  if (!state) return 'disabled';
+  if (salt && state.salt !== toBase64(salt)) return 'invalidated';
+
+  const { biometricPasswordDays } = await getSettings();
+  return Date.now() >= state.verifiedAt + biometricPasswordDays * DAY ? 'expired' : 'ready';
+};
+
+/**
+ * After the master password was entered: restart the period until it is
+ * asked again, and store the new master key if the envelope was re-wrapped
+ * under the same password (KDF upgrade). No-op when disabled.
+ * @param {CryptoKey} masterKey
+ * @param {Uint8Array} salt
+ */
+export const refreshBiometricUnlock = async (masterKey, salt) => {
+  const state = await getBiometricState();
+  if (!state) return;
+
+  try {
+    if (state.salt === toBase64(salt)) {
+      await SecureStore.setItemAsync(KEYS.BIOMETRIC_UNLOCK, JSON.stringify({ ...state, verifiedAt: Date.now() }));
+    } else {
+      await enableBiometricUnlock(masterKey, salt);
+    }
+  } catch (err) {
+    console.error('Failed to refresh biometric unlock:', err);
+    await disableBiometricUnlock();
+  }
+};
+
+/**
+ * Read the master key; prompts for biometrics. Resolves null (and disables
+ * biometric unlock) when enrollment changed; throws when cancelled.
+ * @returns {Promise<CryptoKey|null>}
+ */
+export const getBiometricMasterKey = async () => {
+  const keyString = await SecureStore.getItemAsync(KEYS.BIOMETRIC_MASTER_KEY, BIOMETRIC_KEY_OPTIONS);
+  if (!keyString) {
+    await disableBiometricUnlock();
+    return null;
+  }
+
+  return crypto.subtle.importKey(
+    'raw',
+    fromBase64(keyString),
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+  );
+};
+
 // Clear all data (logout)
 export const clearAllData = async () => {
   await removeAuthToken();
@@ -251,9 +511,11 @@ export const clearAllData = async () => {
   await removeVault();
   await removeSalt();
   await clearSessionKeys();
+  await disableBiometricUnlock();
   
   try {
     await AsyncStorage.removeItem(KEYS.VAULT_VERSION);
+    await AsyncStorage.removeItem(KEYS.LAST_ACTIVE);
   } catch (err) {
     console.error('Failed to clear vault version:', err);
   }
@@ -0,0 +1,377 @@
+// Offline password strength estimation
+// Pattern-based guess counting in the spirit of zxcvbn: the password is split
+// into the cheapest sequence of known patterns (dictionary words, keyboard
+// walks, sequences, repeats, dates) with brute-forced characters in between.
+// Nothing leaves the device.
+
+import { WORDLIST } from '../vault/wordlist';
+
+// Most common leaked passwords, most common first (rank = guesses)
+const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111', '1234567', 'dragon',
+  '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein', '696969', 'shadow', 'master', '666666',
+  'qwertyuiop', '123321', 'mustang', '1234567890', 'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212',
+  '000000', 'qazwsx', '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou', 'fuckme', '2000',
+  'charlie', 'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster', '112233', 'george',
+  'asshole', 'computer', 'michelle', 'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313',
+  'freedom', '777777', 'pass', 'fuck', 'maggie', '159753', 'aaaaaa', 'ginger', 'princess', 'joshua',
+  'cheese', 'amanda', 'summer', 'love', 'ashley', '6969', 'nicole', 'chelsea', 'biteme', 'matthew',
+  'access', 'yankees', '987654321', 'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'william', 'corvette',
+  'hello', 'martin', 'heather', 'secret', 'merlin', 'diamond', '1234qwer', 'gfhjkm', 'hammer', 'silver',
+  '222222', '88888888', 'anthony', 'justin', 'test', 'bailey', 'q1w2e3r4t5', 'patrick', 'internet', 'scooter',
+  'orange', '11111', 'golfer', 'cookie', 'richard', 'samantha', 'bigdog', 'guitar', 'jackson', 'whatever',
+  'mickey', 'chicken', 'sparky', 'snoopy', 'maverick', 'phoenix', 'camaro', 'peanut', 'morgan', 'welcome',
+  'falcon', 'cowboy', 'ferrari', 'samsung', 'andrea', 'smokey', 'steelers', 'joseph', 'mercedes', 'dakota',
+  'arsenal', 'eagles', 'melissa', 'boomer', 'booboo', 'spider', 'nascar', 'monster', 'tigers', 'yellow',
+  'xxxxxx', '123123123', 'gateway', 'marina', 'diablo', 'bulldog', 'qwer1234', 'compaq', 'purple', 'hardcore',
+  'banana', 'junior', 'hannah', '123654', 'porsche', 'lakers', 'iceman', 'money', 'cowboys', '987654',
+  'london', 'tennis', '999999', 'ncc1701', 'coffee', 'scooby', '0000', 'miller', 'boston', 'q1w2e3r4',
+  'admin', 'root', 'changeme', 'passw0rd', 'p@ssw0rd', 'default', 'login', 'qwerty123', 'password1', 'abcdef'
+];
+
+const KEYBOARD_WALKS = [
+  '`1234567890-=',
+  'qwertyuiop[]\\',
+  "asdfghjkl;'",
+  'zxcvbnm,./',
+  '1qaz2wsx3edc4rfv5tgb6yhn7ujm8ik,9ol.0p;/-[\'=]',
+  'qazwsxedcrfvtgbyhnujmikolp'
+];
+
+const L33T = {
+  '4': ['a'], '@': ['a'], '8': ['b'], '(': ['c'], '3': ['e'], '6': ['g'], '9': ['g'],
+  '1': ['i', 'l'], '!': ['i'], '|': ['i', 'l'], '0': ['o'], '$': ['s'], '5': ['s'], '7': ['t'], '+': ['t'], '2': ['z']
+};
+
+const MIN_WORD_LENGTH = 4;
+// Guesses per character not covered by a pattern (zxcvbn's value: charset size
+// overrates short strings, attackers try likelier characters first)
+const BRUTEFORCE_CARDINALITY = 10;
+const MAX_ANALYZED_LENGTH = 100;
+const REFERENCE_YEAR = new Date().getFullYear();
+
+// Offline attack on a slow hash (Argon2id, bcrypt) with serious hardware
+export const GUESSES_PER_SECOND = 1e4;
+
+// Minimum guesses (log10) for scores 1-4
+const SCORE_THRESHOLDS = [3, 6, 8, 10];
+
+export const SCORE_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+const COMMON_RANKS = new Map(COMMON_PASSWORDS.map((word, i) => [word, i + 1]));
+const WORDS = new Set(WORDLIST.filter(word => word.length >= MIN_WORD_LENGTH));
+
+// Lowercased variants with l33t substitutions undone ('1' can be i or l)
+function unleet(password) {
+  let variants = [''];
+  for (const char of password.toLowerCase()) {
+    const options = L33T[char] ? [char, ...L33T[char]] : [char];
+    variants = variants.flatMap(prefix => options.map(option => prefix + option)).slice(0, 16);
+  }
+  return variants;
+}
+
+function capitalizationFactor(token) {
+  if (token === token.toLowerCase()) return 1;
+  if (token === token.toUpperCase() || /^[A-Z][^A-Z]*$/.test(token)) return 2;
+  const upper = [...token].filter(c => c !== c.toLowerCase()).length;
+  return 2 ** Math.min(upper, token.length - upper, 6);
+}
+
+function dictionaryMatches(password, userWords) {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const variants = unleet(password);
+
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 3; j <= password.length; j++) {
+      const token = password.slice(i, j);
+      for (const variant of variants) {
+        const word = variant.slice(i, j);
+        let guesses = null;
+        let kind = null;
+        if (userWords.has(word)) {
+          guesses = 1;
+          kind = 'userInput';
+        } else if (COMMON_RANKS.has(word)) {
+          guesses = COMMON_RANKS.get(word);
+          kind = 'common';
+        } else if (word.length >= MIN_WORD_LENGTH && WORDS.has(word)) {
+          guesses = WORDLIST.length;
+          kind = 'word';
+        }
+        if (guesses === null) continue;
+
+        const l33t = word !== lower.slice(i, j);
+        matches.push({
+          pattern: 'dictionary',
+          kind,
+          i,
+          j,
+          token,
+          l33t,
+          capitalized: token !== token.toLowerCase(),
+          guesses: Math.max(guesses, 10) * capitalizationFactor(token) * (l33t ? 4 : 1)
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+function keyboardMatches(password) {
+  const matches = [];
+  const lower = password.toLowerCase();
+  for (let i = 0; i < lower.length; i++) {
+    for (let j = i + 3; j <= lower.length; j++) {
+      const token = lower.slice(i, j);
+      const reversed = [...token].reverse().join('');
+      if (KEYBOARD_WALKS.some(walk => walk.includes(token) || walk.includes(reversed))) {
+        matches.push({ pattern: 'keyboard', i, j, token: password.slice(i, j), guesses: 100 * token.length });
+      }
+    }
+  }
+  return matches;
+}
+
+function sequenceMatches(password) {
+  const matches = [];
+  let i = 0;
+  while (i < password.length - 2) {
+    const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+    let j = i + 1;
+    if (delta === 1 || delta === -1) {
+      while (j < password.length && password.charCodeAt(j) - password.charCodeAt(j - 1) === delta) j++;
+    }
+    if (j - i >= 3) {
+      const token = password.slice(i, j);
+      const base = /^[0-9]/.test(token) ? 10 : 26;
+      const start = 'aAzZ019'.includes(token[0]) ? 4 : base;
+      matches.push({ pattern: 'sequence', i, j, token, guesses: start * token.length * (delta < 0 ? 2 : 1) });
+      i = j - 1;
+    } else {
+      i++;
+    }
+  }
+  return matches;
+}
+
+function repeatMatches(password, depth) {
+  const matches = [];
+  const regex = /(.+?)\1+/g;
+  let match;
+  while ((match = regex.exec(password)) !== null) {
+    const [token, chunk] = match;
+    if (token.length < 3) continue;
+    const count = token.length / chunk.length;
+    const chunkGuesses = chunk.length === 1 ? BRUTEFORCE_CARDINALITY : estimateGuesses(chunk, new Set(), depth + 1).guesses;
+    matches.push({ pattern: 'repeat', i: match.index, j: match.index + token.length, token, guesses: chunkGuesses * count });
+  }
+  return matches;
+}
+
+function isDate(day, month, year) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31 && year >= 1900 && year <= REFERENCE_YEAR + 20;
+}
+
+function fullYear(year) {
+  if (year >= 100) return year;
+  return year > (REFERENCE_YEAR % 100) + 10 ? 1900 + year : 2000 + year;
+}
+
+function dateMatches(password) {
+  const matches = [];
+  const yearGuesses = (year) => Math.max(Math.abs(year - REFERENCE_YEAR), 20);
+
+  const yearRegex = /(19|20)\d\d/g;
+  let match;
+  while ((match = yearRegex.exec(password)) !== null) {
+    matches.push({ pattern: 'date', i: match.index, j: match.index + 4, token: match[0], guesses: yearGuesses(Number(match[0])) });
+  }
+
+  // d/m/y, m/d/y and y/m/d with or without separators
+  const dateRegex = /\d{1,4}([\s/\\_.-]?)\d{1,2}\1\d{1,4}/g;
+  for (let start = 0; start < password.length; start++) {
+    dateRegex.lastIndex = start;
+    match = dateRegex.exec(password);
+    if (!match || match.index !== start) continue;
+
+    const parts = match[1] ? match[0].split(match[1]) : null;
+    const candidates = parts ? [parts.map(Number)] : splitDigits(match[0]);
+    const valid = candidates.some(([a, b, c]) => (
+      isDate(a, b, fullYear(c)) || isDate(b, a, fullYear(c)) || (a >= 1000 && isDate(c, b, a))
+    ));
+    if (valid) {
+      const years = candidates.map(([a, , c]) => (a >= 1000 ? a : fullYear(c)));
+      matches.push({
+        pattern: 'date',
+        i: start,
+        j: start + match[0].length,
+        token: match[0],
+        guesses: 365 * yearGuesses(Math.min(...years)) * (match[1] ? 4 : 1)
+      });
+    }
+  }
+  return matches;
+}
+
+// 6-8 digit runs as day/month/year splits
+function splitDigits(digits) {
+  if (digits.length < 4 || digits.length > 8) return [];
+  const splits = [];
+  for (let a = 1; a <= 4; a++) {
+    for (let b = a + 1; b <= a + 2 && b < digits.length; b++) {
+      splits.push([Number(digits.slice(0, a)), Number(digits.slice(a, b)), Number(digits.slice(b))]);
+    }
+  }
+  return splits;
+}
+
+/**
+ * Cheapest split of the password into patterns and brute-forced characters.
+ * @param {string} password
+ * @param {Set<string>} userWords - Lowercased words the user is known by
+ * @param {number} [depth] - Recursion depth for repeated chunks
+ * @returns {{guesses: number, sequence: Array}}
+ */
+function estimateGuesses(password, userWords, depth = 0) {
+  const matches = [
+    ...dictionaryMatches(password, userWords),
+    ...keyboardMatches(password),
+    ...sequenceMatches(password),
+    ...(depth < 2 ? repeatMatches(password, depth) : []),
+    ...dateMatches(password)
+  ];
+
+  // best[k]: cheapest guesses for the first k characters
+  const best = [{ guesses: 1, sequence: [] }];
+  for (let k = 1; k <= password.length; k++) {
+    const previous = best[k - 1];
+    let candidate = {
+      guesses: previous.guesses * BRUTEFORCE_CARDINALITY,
+      sequence: [...previous.sequence, { pattern: 'bruteforce', i: k - 1, j: k, token: password[k - 1] }]
+    };
+    for (const match of matches) {
+      if (match.j !== k) continue;
+      const guesses = best[match.i].guesses * match.guesses;
+      if (guesses < candidate.guesses) {
+        candidate = { guesses, sequence: [...best[match.i].sequence, match] };
+      }
+    }
+    best.push(candidate);
+  }
+
+  // Every extra pattern boundary is another choice for the attacker
+  const result = best[password.length];
+  const patterns = result.sequence.filter(match => match.pattern !== 'bruteforce').length;
+  return { guesses: result.guesses * Math.max(patterns, 1), sequence: result.sequence };
+}
+
+/**
+ * Human readable crack time.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatCrackTime(seconds) {
+  const units = [
+    ['second', 1],
+    ['minute', 60],
+    ['hour', 3600],
+    ['day', 86400],
+    ['month', 2629800],
+    ['year', 31557600]
+  ];
+  if (seconds < 1) return 'less than a second';
+  if (seconds >= 100 * 31557600) return 'centuries';
+
+  let [unit, size] = units[0];
+  for (const [name, length] of units) {
+    if (seconds >= length) [unit, size] = [name, length];
+  }
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+function feedback(score, sequence, password) {
+  if (score >= 3) {
+    return { warning: '', suggestions: [] };
+  }
+
+  const patterns = sequence.filter(match => match.pattern !== 'bruteforce');
+  const suggestions = [];
+  let warning = '';
+
+  // The longest pattern drives the warning
+  const main = patterns.reduce((longest, match) => (!longest || match.token.length > longest.token.length ? match : longest), null);
+  if (main) {
+    const whole = main.token.length === password.length;
+    switch (main.pattern) {
+      case 'dictionary':
+        if (main.kind === 'userInput') warning = 'Avoid your name or email address';
+        else if (main.kind === 'common') warning = whole ? 'This is a very common password' : 'Contains a very common password';
+        else warning = whole ? 'A single word is easy to guess' : 'Words on their own are easy to guess';
+        break;
+      case 'keyboard':
+        warning = 'Keyboard patterns like "qwerty" are easy to guess';
+        break;
+      case 'sequence':
+        warning = 'Sequences like "abc" or "6543" are easy to guess';
+        break;
+      case 'repeat':
+        warning = 'Repeats like "aaa" or "abcabc" are easy to guess';
+        break;
+      case 'date':
+        warning = 'Dates and years are easy to guess';
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (patterns.some(match => match.l33t)) {
+    suggestions.push('Substitutions like "@" for "a" don\'t help much');
+  }
+  if (patterns.some(match => match.capitalized)) {
+    suggestions.push('Capitalization doesn\'t help much');
+  }
+  suggestions.push(password.length < 16
+    ? 'Make it longer: a few random words are easy to remember and hard to guess'
+    : 'Add another word or two, uncommon words are better');
+
+  return { warning, suggestions };
+}
+
+/**
+ * Estimate password strength offline.
+ * @param {string} password
+ * @param {Array<string>} [userInputs] - Email, name etc. that make guessing easier
+ * @returns {{score: number, label: string, guesses: number, guessesLog10: number, crackTimeSeconds: number, crackTime: string, warning: string, suggestions: Array<string>}}
+ */
+export function estimateStrength(password, userInputs = []) {
+  const analyzed = password.slice(0, MAX_ANALYZED_LENGTH);
+  const userWords = new Set(
+    userInputs
+      .filter(Boolean)
+      .flatMap(input => String(input).toLowerCase().split(/[^a-z0-9]+/))
+      .filter(word => word.length >= 3)
+  );
+
+  let { guesses, sequence } = analyzed ? estimateGuesses(analyzed, userWords) : { guesses: 1, sequence: [] };
+  // Characters past the analyzed prefix still add brute-force work
+  guesses *= BRUTEFORCE_CARDINALITY ** (password.length - analyzed.length);
+
+  const guessesLog10 = Math.log10(guesses);
+  const score = SCORE_THRESHOLDS.filter(threshold => guessesLog10 >= threshold).length;
+  const crackTimeSeconds = guesses / GUESSES_PER_SECOND;
+
+  return {
+    score,
+    label: SCORE_LABELS[score],
+    guesses,
+    guessesLog10,
+    crackTimeSeconds,
+    crackTime: formatCrackTime(crackTimeSeconds),
+    ...feedback(score, sequence, analyzed)
+  };
+}
@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import { shouldAutoLock, AUTO_LOCK_CHECK_INTERVAL } from './autoLock';
+import { getSettings, setLastActiveAt } from './storage';
+
+let lastActivity = Date.now();
+let paused = 0;
+
+/**
+ * Record a user interaction.
+ */
+export function recordActivity() {
+  lastActivity = Date.now();
+}
+
+/**
+ * onStartShouldSetResponderCapture handler that records every touch inside
+ * a view without taking it. App wraps the navigator in one; a Modal renders
+ * outside of it and needs its own.
+ * @returns {boolean} Always false
+ */
+export function captureActivity() {
+  recordActivity();
+  return false;
+}
+
+/**
+ * Run a task that shows a system prompt (biometrics), which moves the app
+ * out of the 'active' state, without auto-locking because of it.
+ * @param {Function} task
+ * @returns {Promise<*>} The task's result
+ */
+export async function whileAutoLockPaused(task) {
+  paused += 1;
+  try {
+    return await task();
+  } finally {
+    paused -= 1;
+    recordActivity();
+  }
+}
+
+/**
+ * Lock the vault when the auto-lock setting says so, from AppState changes
+ * and a periodic inactivity check.
+ * @param {boolean} unlocked - Checks run only while the vault is open
+ * @param {Function} onLock
+ */
+export function useAutoLock(unlocked, onLock) {
+  const onLockRef = useRef(onLock);
+  onLockRef.current = onLock;
+
+  useEffect(() => {
+    if (!unlocked) return undefined;
+
+    recordActivity();
+    let locked = false;
+
+    const check = async (appState) => {
+      if (paused > 0) return;
+      const { autoLock } = await getSettings();
+      if (!locked && paused === 0 && shouldAutoLock(autoLock, { idleFor: Date.now() - lastActivity, appState })) {
+        locked = true;
+        onLockRef.current();
+      }
+    };
+
+    const subscription = AppState.addEventListener('change', (appState) => {
+      // The app may be killed from the background: a restart picks up from here
+      if (appState !== 'active') {
+        setLastActiveAt(lastActivity);
+      }
+      check(appState);
+    });
+    const timer = setInterval(() => check(AppState.currentState), AUTO_LOCK_CHECK_INTERVAL);
+
+    return () => {
+      subscription.remove();
+      clearInterval(timer);
+    };
+  }, [unlocked]);
+}
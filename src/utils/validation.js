@@ -0,0 +1,33 @@
+// Form validation shared between registration and master password change
+
+import { estimateStrength, SCORE_LABELS } from './strength';
+
+export const MIN_MASTER_PASSWORD_LENGTH = 12;
+
+/**
+ * Validate a new master password and its confirmation.
+ * @param {string} masterPassword
+ * @param {string} confirmMasterPassword
+ * @param {Object} [options]
+ * @param {number} [options.minScore] - Weakest accepted strength score (0-4)
+ * @param {Array<string>} [options.userInputs] - Email etc. the password should not be built from
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMasterPassword(masterPassword, confirmMasterPassword, { minScore = 0, userInputs = [] } = {}) {
+  if (masterPassword !== confirmMasterPassword) {
+    return 'Master passwords do not match';
+  }
+
+  if (masterPassword.length < MIN_MASTER_PASSWORD_LENGTH) {
+    return `Master password must be at least ${MIN_MASTER_PASSWORD_LENGTH} characters`;
+  }
+
+  const strength = estimateStrength(masterPassword, userInputs);
+  if (strength.score < minScore) {
+    const hint = strength.warning || strength.suggestions[0];
+    return `Master password is too weak (${SCORE_LABELS[strength.score].toLowerCase()}, needs at least ${SCORE_LABELS[minScore].toLowerCase()})` +
+      (hint ? `. ${hint}` : '');
+  }
+
+  return null;
+}
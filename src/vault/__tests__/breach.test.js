@@ -0,0 +1,115 @@
+import { sha1Hex, parseRange, httpRangeFetcher, createBreachChecker, isValidRangeUrl, isSecureRangeUrl, BREACH_RANGE_URL } from '../breach';
+import { findBreached, analyzeVault } from '../health';
+
+// SHA-1("password") = 5BAA6 1E4C9B93F3F0682250B6CF8331B7EE68FD8
+const PASSWORD_SUFFIX = '1E4C9B93F3F0682250B6CF8331B7EE68FD8';
+
+// Local stand-in for the range endpoint, recording what was asked
+function stubRange(ranges) {
+  const requests = [];
+  const fetchRange = async (prefix) => {
+    requests.push(prefix);
+    return ranges[prefix] || '';
+  };
+  return { requests, fetchRange };
+}
+
+test('sha1Hex matches the known digest', () => {
+  expect(sha1Hex('password')).toBe('5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8');
+});
+
+test('parseRange reads counts and drops padding', () => {
+  const range = parseRange(`${PASSWORD_SUFFIX}:9659365\r\n0018A45C4D1DEF81644B54AB7F969B88D65:0\n00D4F6E8FA6EECAD2A3AA415EEC418D38EC:2\n`);
+  expect(range.get(PASSWORD_SUFFIX)).toBe(9659365);
+  expect(range.get('00D4F6E8FA6EECAD2A3AA415EEC418D38EC')).toBe(2);
+  expect(range.size).toBe(2);
+});
+
+test('only the 5-character prefix is sent and the suffix matches locally', async () => {
+  const { requests, fetchRange } = stubRange({ '5BAA6': `${PASSWORD_SUFFIX}:42` });
+  const checker = createBreachChecker({ fetchRange });
+
+  expect(await checker.count('password')).toBe(42);
+  expect(requests).toEqual(['5BAA6']);
+});
+
+test('a password missing from its range is not breached', async () => {
+  const { fetchRange } = stubRange({ '5BAA6': '0018A45C4D1DEF81644B54AB7F969B88D65:3' });
+  expect(await createBreachChecker({ fetchRange }).count('password')).toBe(0);
+});
+
+test('ranges are fetched once per prefix', async () => {
+  const { requests, fetchRange } = stubRange({});
+  const checker = createBreachChecker({ fetchRange });
+  await Promise.all([checker.count('password'), checker.count('password')]);
+  expect(requests).toHaveLength(1);
+});
+
+test('a failed range request is retried on the next lookup', async () => {
+  let calls = 0;
+  const checker = createBreachChecker({
+    fetchRange: async () => {
+      calls += 1;
+      if (calls === 1) throw new Error('offline');
+      return `${PASSWORD_SUFFIX}:1`;
+    }
+  });
+  await expect(checker.count('password')).rejects.toThrow('offline');
+  expect(await checker.count('password')).toBe(1);
+});
+
+test('the HTTP fetcher appends the prefix to the configured endpoint', async () => {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, options });
+    return { ok: true, text: async () => `${PASSWORD_SUFFIX}:7` };
+  };
+  const checker = createBreachChecker({ fetchRange: httpRangeFetcher('https://mirror.internal/range/', fetchImpl) });
+
+  expect(await checker.count('password')).toBe(7);
+  expect(calls).toEqual([{ url: 'https://mirror.internal/range/5BAA6', options: { headers: { 'Add-Padding': 'true' } } }]);
+});
+
+test('the HTTP fetcher reports failed responses', async () => {
+  const fetchRange = httpRangeFetcher('https://mirror.internal/range/', async () => ({ ok: false, status: 503 }));
+  await expect(fetchRange('5BAA6')).rejects.toThrow('HTTP 503');
+});
+
+test('endpoints must be http(s) URLs with a path', () => {
+  expect(isValidRangeUrl(BREACH_RANGE_URL)).toBe(true);
+  expect(isValidRangeUrl('https://mirror.example.internal/pwned/range/')).toBe(true);
+  expect(isValidRangeUrl('http://localhost:8080/range/')).toBe(true);
+  expect(isValidRangeUrl('https://mirror.example.internal')).toBe(false);
+  expect(isValidRangeUrl('ftp://mirror.example.internal/range/')).toBe(false);
+  expect(isValidRangeUrl('')).toBe(false);
+});
+
+test('plain http is only secure to loopback and private hosts', () => {
+  expect(isSecureRangeUrl(BREACH_RANGE_URL)).toBe(true);
+  expect(isSecureRangeUrl('http://localhost:8080/range/')).toBe(true);
+  expect(isSecureRangeUrl('http://127.0.0.1/range/')).toBe(true);
+  expect(isSecureRangeUrl('http://[::1]:3000/range/')).toBe(true);
+  expect(isSecureRangeUrl('http://192.168.1.20/range/')).toBe(true);
+  expect(isSecureRangeUrl('http://172.20.0.5/range/')).toBe(true);
+  expect(isSecureRangeUrl('http://pwned.corp.internal/range/')).toBe(true);
+  expect(isSecureRangeUrl('http://172.32.0.5/range/')).toBe(false);
+  expect(isSecureRangeUrl('http://mirror.example.com/range/')).toBe(false);
+  expect(isSecureRangeUrl('http://localhost.example.com/range/')).toBe(false);
+});
+
+test('findBreached reports vault passwords found in breaches', async () => {
+  const { requests, fetchRange } = stubRange({ '5BAA6': `${PASSWORD_SUFFIX}:1234` });
+  const items = [
+    { id: '1', type: 'login', name: 'Old', username: 'me', password: 'password' },
+    { id: '2', type: 'login', name: 'New', username: 'me', password: 'unbreached-Passphrase-42' },
+    { id: '3', type: 'note', name: 'Note', note: 'password' }
+  ];
+
+  const breached = await findBreached(items, createBreachChecker({ fetchRange }));
+  expect(breached.map(issue => issue.item.id)).toEqual(['1']);
+  expect(breached[0].detail).toBe('Seen 1,234 times in data breaches');
+  expect(requests.every(prefix => prefix.length === 5)).toBe(true);
+
+  expect(analyzeVault(items, { breached }).checks.breached).toBe(breached);
+  expect(analyzeVault(items).checks.breached).toEqual([]);
+});
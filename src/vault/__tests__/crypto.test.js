@@ -0,0 +1,266 @@
+import { argon2id } from '@noble/hashes/argon2.js';
+import {
+  deriveKey,
+  resolveKdf,
+  isKdfOutdated,
+  kdfUpgradeTarget,
+  kdfForNewPassword,
+  DEFAULT_KDF,
+  LEGACY_KDF,
+  PBKDF2_KDF,
+  KdfUnavailableError,
+  generateDEK,
+  encryptDEK,
+  decryptDEK,
+  rewrapDEK,
+  unwrapDEKWithPassword,
+  encryptVault,
+  decryptVault,
+  encryptItem,
+  decryptItem,
+  buildAAD,
+  ENVELOPE_FORMAT,
+  generateRecoverySecret,
+  encodeRecoveryKey,
+  decodeRecoveryKey,
+  isLegacyRecoveryKey,
+  encryptDEKWithRecoveryKey,
+  decryptDEKWithRecoveryKey,
+  generateRecoveryKey,
+  parseRecoveryKey
+} from '../crypto';
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+const fromHex = (string) => new Uint8Array(Buffer.from(string, 'hex'));
+const rawKey = async (key) => hex(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+const fill = (length, value) => new Uint8Array(length).fill(value);
+
+const context = { accountId: 'user@example.com', format: ENVELOPE_FORMAT };
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('known-answer vectors', () => {
+  test('Argon2id matches RFC 9106 section 5.3', () => {
+    const tag = argon2id(fill(32, 0x01), fill(16, 0x02), {
+      t: 3,
+      m: 32,
+      p: 4,
+      dkLen: 32,
+      key: fill(8, 0x03),
+      personalization: fill(12, 0x04)
+    });
+    expect(hex(tag)).toBe('0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+  });
+
+  test('deriveKey uses Argon2id with the descriptor parameters', async () => {
+    // Small parameters: Argon2id is slow under Jest. The fixture envelopes cover LEGACY_KDF
+    const kdf = { algorithm: 'argon2id', version: 1, memory: 64, iterations: 3, parallelism: 2 };
+    const salt = fill(32, 0x2a);
+    const expected = argon2id('correct horse battery staple', salt, { t: 3, m: 64, p: 2, dkLen: 32 });
+    const key = await deriveKey('correct horse battery staple', salt, kdf);
+    expect(await rawKey(key)).toBe(hex(expected));
+  });
+
+  test('LEGACY_KDF parameters never change', () => {
+    expect(LEGACY_KDF).toEqual({ algorithm: 'argon2id', version: 1, memory: 16384, iterations: 2, parallelism: 1 });
+    expect(resolveKdf(undefined)).toBe(LEGACY_KDF);
+  });
+
+  test.each([
+    [1, '120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b'],
+    [2, 'ae4d0c95af6b46d32d0adff928f06dd02a303f8ef3c251dfd6e2d85a95474c43'],
+    [4096, 'c5e478d59288c841aa530db6845c4c8d962893a001ce4e11a4963873aa98134a']
+  ])('PBKDF2-SHA256 with %i iterations', async (iterations, expected) => {
+    const key = await deriveKey('password', new TextEncoder().encode('salt'), { ...PBKDF2_KDF, iterations });
+    expect(await rawKey(key)).toBe(expected);
+  });
+
+  test('AES-256-GCM matches the GCM specification test case 16', async () => {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      fromHex('feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308'),
+      'AES-GCM',
+      false,
+      ['encrypt']
+    );
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: fromHex('cafebabefacedbaddecaf888'),
+        additionalData: fromHex('feedfacedeadbeeffeedfacedeadbeefabaddad2')
+      },
+      key,
+      fromHex('d9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39')
+    );
+    expect(hex(new Uint8Array(ciphertext))).toBe(
+      '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662' +
+      '76fc6ece0f4e1768cddf8853bb2d551b'
+    );
+  });
+
+  test('AAD layout', () => {
+    expect(new TextDecoder().decode(buildAAD({ accountId: ' User@Example.com ', format: 2 }, 'dek')))
+      .toBe('passvault|v2|dek|user@example.com');
+    expect(buildAAD({ accountId: 'user@example.com', format: 1 }, 'dek')).toBeUndefined();
+    expect(buildAAD(undefined, 'dek')).toBeUndefined();
+  });
+});
+
+describe('KDF selection', () => {
+  test('unknown algorithms are refused instead of falling back', async () => {
+    await expect(deriveKey('pw', fill(32, 1), { algorithm: 'scrypt', version: 1 }))
+      .rejects.toBeInstanceOf(KdfUnavailableError);
+  });
+
+  test('descriptors from a newer app version are refused', () => {
+    expect(() => resolveKdf({ ...DEFAULT_KDF, version: 99 })).toThrow();
+  });
+
+  test('descriptors with missing or invalid cost parameters are refused', () => {
+    const { memory, ...noMemory } = DEFAULT_KDF;
+    expect(() => resolveKdf(noMemory)).toThrow(/memory/);
+    expect(() => resolveKdf({ ...DEFAULT_KDF, iterations: 0 })).toThrow(/iterations/);
+    expect(() => resolveKdf({ ...DEFAULT_KDF, parallelism: 1.5 })).toThrow(/parallelism/);
+    expect(() => resolveKdf({ ...PBKDF2_KDF, iterations: '600000' })).toThrow(/iterations/);
+    expect(resolveKdf(PBKDF2_KDF)).toBe(PBKDF2_KDF);
+  });
+
+  test('upgrades raise parameters but never switch algorithms', () => {
+    expect(isKdfOutdated(DEFAULT_KDF)).toBe(false);
+    expect(isKdfOutdated(PBKDF2_KDF)).toBe(false);
+    expect(kdfUpgradeTarget(PBKDF2_KDF)).toBe(PBKDF2_KDF);
+    expect(isKdfOutdated({ ...PBKDF2_KDF, iterations: 100000 })).toBe(true);
+    expect(isKdfOutdated({ ...DEFAULT_KDF, memory: 8192 })).toBe(true);
+    expect(kdfUpgradeTarget({ ...DEFAULT_KDF, memory: 8192 })).toBe(DEFAULT_KDF);
+    expect(kdfUpgradeTarget({ algorithm: 'scrypt', version: 1 })).toBeNull();
+    expect(isKdfOutdated({ algorithm: 'scrypt', version: 1 })).toBe(false);
+  });
+
+  test('a new master password keeps the recorded algorithm', async () => {
+    await expect(kdfForNewPassword({ ...PBKDF2_KDF, iterations: 100000 })).resolves.toBe(PBKDF2_KDF);
+    await expect(kdfForNewPassword(DEFAULT_KDF)).resolves.toBe(DEFAULT_KDF);
+  });
+});
+
+describe('DEK wrapping', () => {
+  let masterKey;
+  let dek;
+
+  beforeAll(async () => {
+    masterKey = await deriveKey('master password', fill(32, 7), { ...PBKDF2_KDF, iterations: 1000 });
+    dek = await generateDEK();
+  });
+
+  test('round trip with and without AAD', async () => {
+    for (const ctx of [undefined, context]) {
+      const { encryptedDEK, iv } = await encryptDEK(dek, masterKey, ctx);
+      expect(await rawKey(await decryptDEK(encryptedDEK, iv, masterKey, ctx))).toBe(await rawKey(dek));
+    }
+  });
+
+  test('wrong master key, account or format is rejected', async () => {
+    const { encryptedDEK, iv } = await encryptDEK(dek, masterKey, context);
+    const otherKey = await deriveKey('other password', fill(32, 7), { ...PBKDF2_KDF, iterations: 1000 });
+
+    await expect(decryptDEK(encryptedDEK, iv, otherKey, context)).rejects.toThrow();
+    await expect(decryptDEK(encryptedDEK, iv, masterKey, { ...context, accountId: 'other@example.com' })).rejects.toThrow();
+    await expect(decryptDEK(encryptedDEK, iv, masterKey, { ...context, format: 1 })).rejects.toThrow();
+  });
+
+  test('rewrapDEK keeps the DEK and unwraps with the new password only', async () => {
+    const kdf = { ...PBKDF2_KDF, iterations: 1000 };
+    const rewrapped = await rewrapDEK(dek, 'new password', kdf, context);
+
+    const unlocked = await unwrapDEKWithPassword('new password', rewrapped.salt, rewrapped.encryptedDEK, rewrapped.dekIV, kdf, context);
+    expect(await rawKey(unlocked.dek)).toBe(await rawKey(dek));
+    expect(unlocked.kdf).toEqual(kdf);
+
+    await expect(unwrapDEKWithPassword('master password', rewrapped.salt, rewrapped.encryptedDEK, rewrapped.dekIV, kdf, context))
+      .rejects.toThrow('Invalid password');
+  });
+});
+
+describe('vault encryption', () => {
+  let dek;
+
+  beforeAll(async () => {
+    dek = await generateDEK();
+  });
+
+  test('round trip preserves non-ASCII data', async () => {
+    const items = [{ id: '1', name: 'Ünïcödé ✓', password: '密码🔑', note: 'line 1\nline 2' }];
+    const { encryptedVault, iv } = await encryptVault(items, dek, context);
+    expect(await decryptVault(encryptedVault, iv, dek, context)).toEqual(items);
+  });
+
+  test('tampered ciphertext, IV or context is detected', async () => {
+    const { encryptedVault, iv } = await encryptVault([{ id: '1' }], dek, context);
+
+    const flipped = encryptedVault.slice();
+    flipped[0] ^= 0x01;
+    await expect(decryptVault(flipped, iv, dek, context)).rejects.toThrow('Failed to decrypt vault');
+
+    const truncated = encryptedVault.slice(0, encryptedVault.length - 1);
+    await expect(decryptVault(truncated, iv, dek, context)).rejects.toThrow('Failed to decrypt vault');
+
+    const otherIV = iv.slice();
+    otherIV[0] ^= 0x01;
+    await expect(decryptVault(encryptedVault, otherIV, dek, context)).rejects.toThrow('Failed to decrypt vault');
+
+    await expect(decryptVault(encryptedVault, iv, dek, { ...context, accountId: 'other@example.com' }))
+      .rejects.toThrow('Failed to decrypt vault');
+  });
+
+  test('ciphertexts cannot be moved between roles or records', async () => {
+    const { ciphertext, iv } = await encryptItem({ id: '1' }, dek, 'record-a', context);
+
+    expect(await decryptItem(ciphertext, iv, dek, 'record-a', context)).toEqual({ id: '1' });
+    await expect(decryptItem(ciphertext, iv, dek, 'record-b', context)).rejects.toThrow();
+    await expect(decryptVault(ciphertext, iv, dek, context)).rejects.toThrow();
+  });
+});
+
+describe('recovery keys', () => {
+  test('encode/decode round trip is case and separator insensitive', () => {
+    const secret = generateRecoverySecret();
+    const key = encodeRecoveryKey(secret);
+
+    expect(key).toMatch(/^PVRK1(-[A-Z2-7]{4})+$/);
+    expect(isLegacyRecoveryKey(key)).toBe(false);
+    expect(hex(decodeRecoveryKey(key))).toBe(hex(secret));
+    expect(hex(decodeRecoveryKey(` ${key.toLowerCase().replace(/-/g, '- ')} `))).toBe(hex(secret));
+  });
+
+  test('a mistyped recovery key is rejected', () => {
+    const key = encodeRecoveryKey(generateRecoverySecret());
+    expect(() => decodeRecoveryKey(key.slice(0, -4))).toThrow();
+  });
+
+  test('recovery copy of the DEK only opens with its secret', async () => {
+    const dek = await generateDEK();
+    const secret = generateRecoverySecret();
+    const { recoveryDEK, recoveryIV } = await encryptDEKWithRecoveryKey(dek, secret, context);
+
+    expect(await rawKey(await decryptDEKWithRecoveryKey(recoveryDEK, recoveryIV, secret, context))).toBe(await rawKey(dek));
+    await expect(decryptDEKWithRecoveryKey(recoveryDEK, recoveryIV, generateRecoverySecret(), context))
+      .rejects.toThrow('Recovery key does not match this vault');
+  });
+
+  test.each([
+    ['user@example.com', 'ascii password'],
+    ['zoë@exämple.com', 'Pässwörd ✓ 密码'],
+    ['用户@例え.jp', '🔑'.repeat(20)]
+  ])('legacy key round trip for %s', (email, password) => {
+    const salt = fill(32, 0x5c);
+    const key = generateRecoveryKey(email, password, salt);
+
+    expect(isLegacyRecoveryKey(key)).toBe(true);
+    const parsed = parseRecoveryKey(key);
+    expect(parsed.email).toBe(email);
+    expect(parsed.password).toBe(password);
+    expect(hex(parsed.salt)).toBe(hex(salt));
+  });
+});
@@ -0,0 +1,99 @@
+// Fixture envelopes must keep unlocking: a regression here locks users out.
+// Never regenerate a fixture to make a failing test pass.
+
+import {
+  unwrapDEKWithPassword,
+  parseRecoveryKey,
+  decodeRecoveryKey,
+  decryptDEKWithRecoveryKey,
+  LEGACY_KDF
+} from '../crypto';
+import { openVault } from '../items';
+import { envelopeContext, recoveryContext, toSyncBlob, parseSyncBlob } from '../envelope';
+import extensionV1 from './fixtures/extension-v1.json';
+import pbkdf2V1 from './fixtures/pbkdf2-v1.json';
+import itemsV2 from './fixtures/items-v2.json';
+
+const bytes = (array) => new Uint8Array(array);
+const rawKey = async (key) => Array.from(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+
+const unlock = (fixture, password = fixture.password) => {
+  const { envelope } = fixture;
+  return unwrapDEKWithPassword(
+    password,
+    bytes(envelope.salt),
+    bytes(envelope.encryptedDEK),
+    bytes(envelope.dekIV),
+    envelope.kdf,
+    envelopeContext(fixture.email, envelope)
+  );
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe.each([
+  ['extension-v1', extensionV1],
+  ['pbkdf2-v1', pbkdf2V1],
+  ['items-v2', itemsV2]
+])('%s fixture', (name, fixture) => {
+  let unlocked;
+
+  beforeAll(async () => {
+    unlocked = await unlock(fixture);
+  });
+
+  test('unlocks with the master password', async () => {
+    expect(await rawKey(unlocked.dek)).toEqual(fixture.dek);
+  });
+
+  test('reports the KDF the envelope was derived with', () => {
+    expect(unlocked.kdf).toEqual(fixture.envelope.kdf || LEGACY_KDF);
+  });
+
+  test('decrypts to the expected items', async () => {
+    expect(await openVault(fixture.envelope, unlocked.dek, envelopeContext(fixture.email, fixture.envelope)))
+      .toEqual(fixture.items);
+  });
+
+  test('rejects a wrong master password', async () => {
+    await expect(unlock(fixture, fixture.password + ' ')).rejects.toThrow('Invalid password');
+  });
+
+  test('survives a sync round trip', () => {
+    const synced = parseSyncBlob(JSON.stringify(toSyncBlob(fixture.envelope)));
+    expect(synced).toEqual(fixture.envelope);
+  });
+});
+
+test('legacy recovery key carries the non-ASCII email and password', () => {
+  const { email, password, salt } = parseRecoveryKey(extensionV1.recoveryKey);
+  expect(email).toBe(extensionV1.email);
+  expect(password).toBe(extensionV1.password);
+  expect(Array.from(salt)).toEqual(extensionV1.envelope.salt);
+});
+
+test('current recovery key unwraps the DEK', async () => {
+  const { envelope } = itemsV2;
+  const dek = await decryptDEKWithRecoveryKey(
+    bytes(envelope.recoveryDEK),
+    bytes(envelope.recoveryIV),
+    decodeRecoveryKey(itemsV2.recoveryKey),
+    recoveryContext(itemsV2.email, envelope)
+  );
+  expect(await rawKey(dek)).toEqual(itemsV2.dek);
+});
+
+test('format 2 envelope is bound to its account', async () => {
+  const { envelope } = itemsV2;
+  await expect(unwrapDEKWithPassword(
+    itemsV2.password,
+    bytes(envelope.salt),
+    bytes(envelope.encryptedDEK),
+    bytes(envelope.dekIV),
+    envelope.kdf,
+    envelopeContext('someone.else@example.com', envelope)
+  )).rejects.toThrow('Invalid password');
+});
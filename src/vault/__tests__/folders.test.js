@@ -0,0 +1,58 @@
+import {
+  ALL_ITEMS,
+  UNFILED,
+  listFolders,
+  listTags,
+  parseTags,
+  normalizeFolder,
+  filterItems,
+  renameFolder,
+  deleteFolder
+} from '../folders';
+
+const items = [
+  { id: '1', name: 'Bank', folder: 'Finance', tags: ['money', 'important'] },
+  { id: '2', name: 'Broker', folder: 'Finance', tags: ['money'] },
+  { id: '3', name: 'Mail', folder: 'personal', tags: [] },
+  { id: '4', name: 'Old login' }
+];
+
+test('folders and tags are listed with counts, sorted by name', () => {
+  expect(listFolders(items)).toEqual([{ name: 'Finance', count: 2 }, { name: 'personal', count: 1 }]);
+  expect(listTags(items)).toEqual([{ name: 'important', count: 1 }, { name: 'money', count: 2 }]);
+});
+
+test('typed tags are split, lowercased and deduplicated', () => {
+  expect(parseTags('#Work, home  work,,')).toEqual(['work', 'home']);
+});
+
+test('folder names are trimmed', () => {
+  expect(normalizeFolder('  Tax   2024 ')).toBe('Tax 2024');
+});
+
+test.each([
+  [ALL_ITEMS, ['1', '2', '3', '4']],
+  [UNFILED, ['4']],
+  [{ type: 'folder', name: 'Finance' }, ['1', '2']],
+  [{ type: 'tag', name: 'important' }, ['1']]
+])('filter %o', (filter, ids) => {
+  expect(filterItems(items, filter).map(item => item.id)).toEqual(ids);
+});
+
+test('renaming a folder changes only its items', () => {
+  const { items: renamed, changedIds } = renameFolder(items, 'Finance', ' Money ');
+  expect(changedIds).toEqual(['1', '2']);
+  expect(renamed.map(item => item.folder)).toEqual(['Money', 'Money', 'personal', undefined]);
+  expect(renamed[2]).toBe(items[2]);
+});
+
+test('renaming to an empty name is refused', () => {
+  expect(() => renameFolder(items, 'Finance', '  ')).toThrow('Folder name cannot be empty');
+});
+
+test('deleting a folder keeps its items', () => {
+  const { items: remaining, changedIds } = deleteFolder(items, 'Finance');
+  expect(remaining).toHaveLength(4);
+  expect(changedIds).toEqual(['1', '2']);
+  expect(filterItems(remaining, UNFILED).map(item => item.id)).toEqual(['1', '2', '4']);
+});
@@ -0,0 +1,84 @@
+import { generatePassword, generatorEntropy, randomInt, CHARSETS, DEFAULT_GENERATOR_OPTIONS } from '../generator';
+import { WORDLIST } from '../wordlist';
+
+const hasAny = (password, chars) => [...password].some(c => chars.includes(c));
+
+describe('randomInt', () => {
+  test('stays in range and covers it', () => {
+    const seen = new Set();
+    for (let i = 0; i < 2000; i++) {
+      const value = randomInt(10);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(10);
+      seen.add(value);
+    }
+    expect(seen.size).toBe(10);
+  });
+});
+
+describe('random mode', () => {
+  test('has the requested length and every enabled class', () => {
+    for (let i = 0; i < 50; i++) {
+      const password = generatePassword({ length: 12 });
+      expect(password).toHaveLength(12);
+      for (const chars of Object.values(CHARSETS)) {
+        expect(hasAny(password, chars)).toBe(true);
+      }
+    }
+  });
+
+  test('disabled classes never appear', () => {
+    const password = generatePassword({ length: 64, symbols: false, digits: false });
+    expect(password).toMatch(/^[a-zA-Z]+$/);
+  });
+
+  test('ambiguous characters can be excluded', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(generatePassword({ length: 64, excludeAmbiguous: true })).not.toMatch(/[Il1|O0o{}[\]()/,.;:]/);
+    }
+  });
+
+  test('falls back to lowercase when every class is disabled', () => {
+    const password = generatePassword({ lowercase: false, uppercase: false, digits: false, symbols: false });
+    expect(password).toMatch(/^[a-z]{20}$/);
+  });
+});
+
+describe('pronounceable mode', () => {
+  test('alternates consonants and vowels, with enabled classes mixed in', () => {
+    const password = generatePassword({ mode: 'pronounceable', length: 16 });
+    expect(password).toHaveLength(16);
+    expect(hasAny(password, CHARSETS.uppercase)).toBe(true);
+    expect(hasAny(password, CHARSETS.digits)).toBe(true);
+    expect(hasAny(password, CHARSETS.symbols)).toBe(true);
+
+    const plain = generatePassword({ mode: 'pronounceable', length: 10, uppercase: false, digits: false, symbols: false });
+    expect(plain).toMatch(/^([bcdfghjkmnprstvwz][aeiu])+$/);
+  });
+});
+
+describe('passphrase mode', () => {
+  test('uses words from the bundled list', () => {
+    const passphrase = generatePassword({ mode: 'passphrase', words: 6, digits: false, separator: ' ' });
+    const words = passphrase.split(' ');
+    expect(words).toHaveLength(6);
+    for (const word of words) {
+      expect(WORDLIST).toContain(word);
+    }
+  });
+
+  test('capitalizes and appends a digit on request', () => {
+    const passphrase = generatePassword({ mode: 'passphrase', words: 4, capitalize: true, digits: true, separator: '.' });
+    expect(passphrase.split('.').every(word => /^[A-Z]/.test(word))).toBe(true);
+    expect(passphrase).toMatch(/\d/);
+  });
+});
+
+describe('generatorEntropy', () => {
+  test('matches the search space', () => {
+    expect(WORDLIST).toHaveLength(7776);
+    expect(generatorEntropy({ mode: 'passphrase', words: 5 })).toBeCloseTo(64.6, 1);
+    expect(generatorEntropy({ ...DEFAULT_GENERATOR_OPTIONS, length: 10, uppercase: false, symbols: false, digits: false }))
+      .toBeCloseTo(10 * Math.log2(26), 5);
+  });
+});
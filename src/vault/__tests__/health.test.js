@@ -0,0 +1,106 @@
+import { analyzeVault, passwordChangedAt, healthLabel } from '../health';
+
+const NOW = Date.UTC(2026, 5, 1);
+const DAY = 24 * 60 * 60 * 1000;
+const STRONG = 'correct-Horse-battery-staple-91';
+
+const login = (id, fields = {}) => ({
+  id,
+  type: 'login',
+  name: `Site ${id}`,
+  url: `https://site${id}.example`,
+  username: 'me',
+  password: `${STRONG}-${id}`,
+  createdAt: NOW - DAY,
+  ...fields
+});
+
+const affected = (issues) => issues.map(issue => issue.item.id).sort();
+
+test('a clean vault scores 100', () => {
+  const report = analyzeVault([login('1'), login('2')], { now: NOW });
+  expect(report.score).toBe(100);
+  expect(Object.values(report.checks).every(issues => issues.length === 0)).toBe(true);
+});
+
+test('finds passwords shared between items, across types', () => {
+  const wifi = { id: '3', type: 'wifi', name: 'Home', ssid: 'home', password: STRONG, createdAt: NOW };
+  const { checks } = analyzeVault([login('1', { password: STRONG }), login('2'), wifi], { now: NOW });
+  expect(affected(checks.reused)).toEqual(['1', '3']);
+  expect(checks.reused[0].detail).toBe('Also used by Home');
+});
+
+test('finds weak passwords, including ones built from the username', () => {
+  const { checks } = analyzeVault([
+    login('1', { password: 'password1' }),
+    login('2', { username: 'marguerite.dubois', password: 'marguerite.dubois' }),
+    login('3')
+  ], { now: NOW });
+  expect(affected(checks.weak)).toEqual(['1', '2']);
+});
+
+test('finds passwords older than the limit', () => {
+  const old = NOW - 400 * DAY;
+  const { checks } = analyzeVault([
+    login('1', { createdAt: old }),
+    login('2', { createdAt: old, updatedAt: NOW - DAY }),
+    login('3', { createdAt: old, passwordHistory: [{ field: 'password', value: 'x', changedAt: NOW - 10 * DAY }] })
+  ], { now: NOW, maxAgeMonths: 12 });
+  // An edit that leaves the password alone does not make it recent
+  expect(affected(checks.old)).toEqual(['1', '2']);
+  expect(checks.old[0].detail).toBe('Not changed for 13 months');
+
+  expect(analyzeVault([login('1', { createdAt: old })], { now: NOW, maxAgeMonths: 24 }).checks.old).toEqual([]);
+});
+
+test('the newest history entry dates a password change', () => {
+  const item = { updatedAt: 30, passwordHistory: [{ field: 'password', changedAt: 20 }, { field: 'password', changedAt: 10 }] };
+  expect(passwordChangedAt(item, 'password')).toBe(20);
+  expect(passwordChangedAt({ createdAt: 5 }, 'password')).toBe(5);
+  expect(passwordChangedAt({ createdAt: 5, updatedAt: 30 }, 'password')).toBe(5);
+  expect(passwordChangedAt({ createdAt: 5, passwordHistory: [{ field: 'pin', changedAt: 20 }] }, 'password')).toBe(5);
+});
+
+test('finds login URLs without HTTPS', () => {
+  const { checks } = analyzeVault([
+    login('1', { url: 'http://router.local' }),
+    login('2', { url: 'HTTP://old.example' }),
+    login('3', { url: 'site3.example/login' }),
+    login('4', { url: 'androidapp://com.example.app' }),
+    login('5', { url: '' })
+  ], { now: NOW });
+  expect(affected(checks.insecure)).toEqual(['1', '2', '3']);
+  expect(checks.insecure.find(issue => issue.item.id === '3').detail).toBe('site3.example/login (no https://)');
+});
+
+test('finds duplicate entries by site and username', () => {
+  const { checks } = analyzeVault([
+    login('1', { url: 'https://www.github.com/login' }),
+    login('2', { url: 'github.com', username: 'ME' }),
+    login('3', { url: 'github.com', username: 'other' }),
+    { id: '4', type: 'card', name: 'Visa', number: '4111 1111 1111 1111' },
+    { id: '5', type: 'card', name: 'Visa copy', number: '4111  1111 1111 1111' }
+  ], { now: NOW });
+  expect(affected(checks.duplicates)).toEqual(['1', '2', '4', '5']);
+});
+
+test('logins without a URL are not duplicates of each other', () => {
+  const { checks } = analyzeVault([login('1', { url: '' }), login('2', { url: '' })], { now: NOW });
+  expect(checks.duplicates).toEqual([]);
+});
+
+test('the score is the share of items without issues', () => {
+  const report = analyzeVault([
+    login('1', { password: 'password1', url: 'http://a.example' }),
+    login('2'),
+    login('3'),
+    login('4')
+  ], { now: NOW });
+  expect(report.healthyItems).toBe(3);
+  expect(report.score).toBe(75);
+  expect(healthLabel(report.score)).toBe('Good');
+});
+
+test('an empty vault is healthy', () => {
+  expect(analyzeVault([]).score).toBe(100);
+});
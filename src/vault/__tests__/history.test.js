@@ -0,0 +1,44 @@
+import { withPasswordHistory, trimHistory, historyLabel } from '../history';
+
+const login = { id: '1', type: 'login', name: 'Mail', username: 'me', password: 'first' };
+
+test('a changed password is kept with its change time', () => {
+  const updated = withPasswordHistory(login, { ...login, password: 'second' }, 10, 1000);
+  expect(updated.password).toBe('second');
+  expect(updated.passwordHistory).toEqual([{ field: 'password', value: 'first', changedAt: 1000 }]);
+});
+
+test('newest entries come first and retention drops the oldest', () => {
+  let item = login;
+  for (const [i, password] of ['b', 'c', 'd'].entries()) {
+    item = withPasswordHistory(item, { ...item, password }, 2, i);
+  }
+  expect(item.passwordHistory.map(entry => entry.value)).toEqual(['c', 'b']);
+});
+
+test('edits that keep the password add nothing', () => {
+  expect(withPasswordHistory(login, { ...login, name: 'Email' })).not.toHaveProperty('passwordHistory');
+});
+
+test('an empty previous password is not history', () => {
+  const wifi = { id: '2', type: 'wifi', name: 'Home', ssid: 'home', password: '' };
+  expect(withPasswordHistory(wifi, { ...wifi, password: 'secret' })).not.toHaveProperty('passwordHistory');
+});
+
+test('retention 0 clears the history', () => {
+  const item = withPasswordHistory(login, { ...login, password: 'second' });
+  expect(withPasswordHistory(item, { ...item, password: 'third' }, 0)).not.toHaveProperty('passwordHistory');
+});
+
+test('non-password fields are not tracked', () => {
+  const card = { id: '3', type: 'card', name: 'Visa', number: '4111', cvv: '123' };
+  expect(withPasswordHistory(card, { ...card, cvv: '456' })).not.toHaveProperty('passwordHistory');
+});
+
+test('trimHistory tolerates a missing history', () => {
+  expect(trimHistory(undefined, 5)).toEqual([]);
+});
+
+test('entries are labelled by their field', () => {
+  expect(historyLabel(login, { field: 'password' })).toBe('Password');
+});
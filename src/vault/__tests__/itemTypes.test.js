@@ -0,0 +1,91 @@
+import {
+  ITEM_TYPES,
+  emptyItem,
+  newCustomField,
+  customFieldText,
+  itemFormValues,
+  validateItem,
+  itemSubtitle,
+  migrateItems
+} from '../itemTypes';
+
+describe('validateItem', () => {
+  test('login needs name, username and password', () => {
+    expect(validateItem({ ...emptyItem('login'), name: 'Mail' }))
+      .toBe('Please fill in required fields: Username / Email, Password');
+  });
+
+  test('secure note needs only a name and the note', () => {
+    expect(validateItem({ ...emptyItem('note'), name: 'Router', note: 'admin / admin' })).toBeNull();
+  });
+
+  test('card expiry must be MM/YY', () => {
+    const card = { ...emptyItem('card'), name: 'Visa', number: '4111 1111 1111 1111' };
+    expect(validateItem({ ...card, expiry: '13/25' })).toBe('Expiry must be MM/YY');
+    expect(validateItem({ ...card, expiry: '09/27' })).toBeNull();
+  });
+
+  test('whitespace does not count as filled in', () => {
+    expect(validateItem({ ...emptyItem('wifi'), name: 'Home', ssid: '  ' })).toMatch('Network Name');
+  });
+});
+
+test('every type has a name and only known field kinds', () => {
+  const kinds = ['text', 'multiline', 'url', 'email', 'number', 'password', 'concealed', 'choice', 'totp'];
+  for (const schema of Object.values(ITEM_TYPES)) {
+    expect(schema.fields[0].key).toBe('name');
+    for (const field of schema.fields) {
+      expect(kinds).toContain(field.kind);
+    }
+  }
+});
+
+test('choice fields start on their first option', () => {
+  expect(emptyItem('wifi').security).toBe('WPA3');
+});
+
+test('form values keep the fields of the type only', () => {
+  const values = itemFormValues({ id: '1', type: 'wifi', name: 'Home', ssid: 'home-5g', createdAt: 1 });
+  expect(values).toEqual({ type: 'wifi', name: 'Home', ssid: 'home-5g', password: '', security: 'WPA3', note: '', folder: '', tags: [], fields: [] });
+});
+
+test('card subtitle shows the last four digits only', () => {
+  expect(itemSubtitle({ type: 'card', number: '4111 1111 1111 1234' })).toBe('•••• 1234');
+});
+
+test('untyped items migrate to logins', () => {
+  const { items, migratedIds } = migrateItems([
+    { id: 'a', name: 'Old', username: 'u', password: 'p' },
+    { id: 'b', type: 'note', name: 'New', note: 'n' }
+  ]);
+  expect(items.map(item => item.type)).toEqual(['login', 'note']);
+  expect(migratedIds).toEqual(['a']);
+});
+
+describe('custom fields', () => {
+  const login = { ...emptyItem('login'), name: 'Bank', username: 'me', password: 'secret' };
+
+  test('need a label', () => {
+    const field = { ...newCustomField('hidden'), value: '1234' };
+    expect(validateItem({ ...login, fields: [field] })).toBe('Every custom field needs a label');
+    expect(validateItem({ ...login, fields: [{ ...field, label: 'PIN' }] })).toBeNull();
+  });
+
+  test('dates must be real calendar dates', () => {
+    const field = { ...newCustomField('date'), label: 'Opened' };
+    expect(validateItem({ ...login, fields: [{ ...field, value: '2024-02-30' }] })).toMatch('must be a date');
+    expect(validateItem({ ...login, fields: [{ ...field, value: '2024-02-29' }] })).toBeNull();
+  });
+
+  test('booleans read as yes or no', () => {
+    expect(customFieldText({ ...newCustomField('boolean'), value: true })).toBe('Yes');
+    expect(customFieldText(newCustomField('boolean'))).toBe('No');
+  });
+
+  test('survive editing as copies', () => {
+    const fields = [{ ...newCustomField(), label: 'Question', value: 'First pet' }];
+    const values = itemFormValues({ ...login, id: '1', fields });
+    expect(values.fields).toEqual(fields);
+    expect(values.fields[0]).not.toBe(fields[0]);
+  });
+});
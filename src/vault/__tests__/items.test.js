@@ -0,0 +1,100 @@
+import { generateDEK, encryptVault, encryptDEK, ENVELOPE_FORMAT } from '../crypto';
+import { openVault, sealVault, rotateDEK, hasItemRecords } from '../items';
+
+const context = { accountId: 'user@example.com', format: ENVELOPE_FORMAT };
+const legacyContext = { accountId: 'user@example.com', format: 1 };
+
+const items = [
+  { id: '1', name: 'One' },
+  { id: '2', name: 'Two' },
+  { id: '3', name: 'Three' }
+];
+
+// setVault stores JSON, which drops the fields sealVault clears
+const store = (vaultData, sealed) => JSON.parse(JSON.stringify({ ...vaultData, ...sealed }));
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('per-item vault', () => {
+  let dek;
+  let vaultData;
+
+  beforeAll(async () => {
+    dek = await generateDEK();
+    vaultData = store({}, await sealVault(items, dek, context));
+  });
+
+  test('round trip keeps item order', async () => {
+    expect(hasItemRecords(vaultData)).toBe(true);
+    expect(await openVault(vaultData, dek, context)).toEqual(items);
+  });
+
+  test('an empty vault has an index and no records', async () => {
+    const empty = store({}, await sealVault([], dek, context));
+    expect(empty.records).toEqual([]);
+    expect(await openVault(empty, dek, context)).toEqual([]);
+  });
+
+  test('only changed items are re-encrypted', async () => {
+    const updated = [items[0], { id: '2', name: 'Two (edited)' }, { id: '4', name: 'Four' }];
+    const sealed = await sealVault(updated, dek, context, { vaultData, context, changedIds: ['2', '4'] });
+
+    expect(sealed.records[0]).toEqual(vaultData.records[0]);
+    expect(sealed.records[1].id).toBe(vaultData.records[1].id);
+    expect(sealed.records[1].data).not.toEqual(vaultData.records[1].data);
+    expect(sealed.records.map(record => record.id)).not.toContain(vaultData.records[2].id);
+    expect(await openVault(store(vaultData, sealed), dek, context)).toEqual(updated);
+  });
+
+  test('record ids do not reveal item ids', () => {
+    for (const record of vaultData.records) {
+      expect(record.id).toMatch(/^[0-9a-f]{32}$/);
+      expect(items.map(item => item.id)).not.toContain(record.id);
+    }
+  });
+
+  test('swapped records are detected', async () => {
+    const [a, b] = vaultData.records;
+    const swapped = { ...vaultData, records: [{ ...a, data: b.data, iv: b.iv }, { ...b, data: a.data, iv: a.iv }, vaultData.records[2]] };
+    await expect(openVault(swapped, dek, context)).rejects.toThrow();
+  });
+
+  test('a missing record is an error, not a silently shorter vault', async () => {
+    const missing = { ...vaultData, records: vaultData.records.slice(1) };
+    await expect(openVault(missing, dek, context)).rejects.toThrow('missing item');
+  });
+});
+
+describe('single-ciphertext vaults', () => {
+  test('are read and converted on save', async () => {
+    const dek = await generateDEK();
+    const { encryptedVault, iv } = await encryptVault(items, dek, legacyContext);
+    const legacy = { encryptedVault: Array.from(encryptedVault), vaultIV: Array.from(iv) };
+
+    expect(hasItemRecords(legacy)).toBe(false);
+    expect(await openVault(legacy, dek, legacyContext)).toEqual(items);
+
+    const converted = store(legacy, await sealVault(items, dek, context, { vaultData: legacy, context: legacyContext, changedIds: [] }));
+    expect(converted.encryptedVault).toBeUndefined();
+    expect(converted.vaultIV).toBeUndefined();
+    expect(await openVault(converted, dek, context)).toEqual(items);
+  });
+});
+
+describe('rotateDEK', () => {
+  test('re-encrypts every item under a new DEK', async () => {
+    const dek = await generateDEK();
+    const masterKey = await generateDEK();
+    const vaultData = store({}, await sealVault(items, dek, context));
+    const wrapped = await encryptDEK(dek, masterKey, context);
+
+    const rotated = await rotateDEK(vaultData, dek, masterKey, context, context);
+    const rotatedVault = store(vaultData, rotated.vault);
+
+    expect(rotated.encryptedDEK).not.toEqual(wrapped.encryptedDEK);
+    expect(await openVault(rotatedVault, rotated.dek, context)).toEqual(items);
+    await expect(openVault(rotatedVault, dek, context)).rejects.toThrow();
+  });
+});
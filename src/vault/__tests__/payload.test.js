@@ -0,0 +1,52 @@
+import { encodePayload, decodePayload, bucketSize, isFramedPayload } from '../payload';
+
+const encode = (string) => new TextEncoder().encode(string);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('bucketSize', () => {
+  test.each([
+    [1, 256],
+    [256, 256],
+    [257, 512],
+    [40000, 65536],
+    [65536, 65536],
+    [65537, 131072],
+    [200000, 262144]
+  ])('%i bytes pad to %i', (length, size) => {
+    expect(bucketSize(length)).toBe(size);
+  });
+});
+
+describe('encodePayload', () => {
+  test('round trip', () => {
+    for (const text of ['', '[]', JSON.stringify({ note: 'Ünïcödé ✓ 密码' }), 'x'.repeat(100000)]) {
+      expect(decode(decodePayload(encodePayload(encode(text))))).toBe(text);
+    }
+  });
+
+  test('hides the plaintext length within a bucket', () => {
+    expect(encodePayload(encode('a')).length).toBe(encodePayload(encode('a'.repeat(100))).length);
+  });
+
+  test('compresses repetitive data', () => {
+    const note = JSON.stringify({ note: 'lorem ipsum dolor sit amet '.repeat(2000) });
+    expect(encodePayload(encode(note)).length).toBeLessThan(note.length / 10);
+  });
+
+  test('legacy JSON passes through unchanged', () => {
+    const legacy = encode('[{"id":"1"}]');
+    expect(isFramedPayload(legacy)).toBe(false);
+    expect(decodePayload(legacy)).toBe(legacy);
+  });
+
+  test('payloads from a newer app version are refused', () => {
+    const framed = encodePayload(encode('[]'));
+    framed[1] = 99;
+    expect(() => decodePayload(framed)).toThrow('not supported');
+  });
+
+  test('truncated payloads are refused', () => {
+    const framed = encodePayload(encode('[]'));
+    expect(() => decodePayload(framed.subarray(0, 5))).toThrow('Truncated');
+  });
+});
@@ -0,0 +1,81 @@
+import { buildSearchIndex, searchItems, editDistance, highlightParts } from '../search';
+
+const items = [
+  { id: 'gh', name: 'GitHub', url: 'https://github.com/login', username: 'octocat', tags: ['work', 'code'] },
+  { id: 'go', name: 'Google', url: 'https://accounts.google.com', username: 'me@gmail.com' },
+  { id: 'bank', name: 'Crédit Agricole', username: 'client-42', note: 'Card PIN is in the safe, ask about github sponsors' },
+  { id: 'wifi', type: 'wifi', name: 'Home network', tags: ['house'] }
+];
+const index = buildSearchIndex(items);
+const ids = (query) => searchItems(index, query).map(result => result.item.id);
+
+test('an empty query lists every item in vault order', () => {
+  expect(ids('  ')).toEqual(['gh', 'go', 'bank', 'wifi']);
+});
+
+test('substring matches rank name above note', () => {
+  expect(ids('github')).toEqual(['gh', 'bank']);
+});
+
+test('characters in order match abbreviations', () => {
+  expect(ids('gthb')[0]).toBe('gh');
+});
+
+test('typos are tolerated', () => {
+  expect(ids('gogle')).toContain('go');
+  expect(ids('goolge')).toContain('go');
+  expect(ids('agricol')).toContain('bank');
+});
+
+test('accents and case are ignored', () => {
+  expect(ids('CREDIT')).toEqual(['bank']);
+});
+
+test('every query word has to match', () => {
+  expect(ids('github work')).toEqual(['gh']);
+  expect(ids('github house')).toEqual([]);
+});
+
+test('tags and URL hosts are searched', () => {
+  expect(ids('house')).toEqual(['wifi']);
+  expect(ids('accounts')).toEqual(['go']);
+});
+
+test('match ranges point into the stored values', () => {
+  const [result] = searchItems(index, 'accounts');
+  const [[start, end]] = result.matches.url;
+  expect(items[1].url.slice(start, end)).toBe('accounts');
+});
+
+test('highlightParts splits text around ranges', () => {
+  expect(highlightParts('GitHub', [[3, 6], [0, 1]])).toEqual([
+    { text: 'G', highlighted: true },
+    { text: 'it', highlighted: false },
+    { text: 'Hub', highlighted: true }
+  ]);
+});
+
+test('editDistance counts transpositions as one edit and gives up past max', () => {
+  expect(editDistance('goolge', 'google', 1)).toBe(1);
+  expect(editDistance('kitten', 'sitting', 2)).toBe(Infinity);
+});
+
+test('5,000 items stay responsive', () => {
+  const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo'];
+  const large = Array.from({ length: 5000 }, (_, i) => ({
+    id: String(i),
+    name: `${words[i % 11]} ${words[(i * 7) % 11]} ${i}`,
+    url: `https://www.${words[(i * 3) % 11]}.example.com`,
+    username: `${words[(i * 5) % 11]}${i}@mail.com`,
+    note: `notes about ${words[(i * 2) % 11]} and ${words[(i * 9) % 11]}`,
+    tags: [words[(i * 4) % 11]]
+  }));
+  const largeIndex = buildSearchIndex(large);
+
+  const start = Date.now();
+  for (const query of ['alpha', 'brvo', 'juliet kilo', 'foxtrto', 'zzz']) {
+    searchItems(largeIndex, query);
+  }
+  // Generous for CI; well under 100 ms per query on a laptop
+  expect((Date.now() - start) / 5).toBeLessThan(500);
+});
@@ -0,0 +1,48 @@
+import { sortItems, recordUse, countsAsUse, SORT_MODES } from '../sort';
+
+const items = [
+  { id: 'b', name: 'beta', createdAt: 3, updatedAt: 10, lastUsedAt: 5, useCount: 1 },
+  { id: 'a', name: 'Alpha', createdAt: 1, lastUsedAt: 9, useCount: 4 },
+  { id: 'c', name: 'charlie', createdAt: 2, updatedAt: 4 },
+  { id: 'f', name: 'zulu', createdAt: 0, favorite: true }
+];
+const ids = (mode) => sortItems(items, mode).map(item => item.id);
+
+test.each([
+  ['name', ['f', 'a', 'b', 'c']],
+  ['recentlyUsed', ['f', 'a', 'b', 'c']],
+  ['mostUsed', ['f', 'a', 'b', 'c']],
+  ['recentlyCreated', ['f', 'b', 'c', 'a']],
+  ['recentlyModified', ['f', 'b', 'c', 'a']]
+])('%s keeps favorites on top', (mode, expected) => {
+  expect(ids(mode)).toEqual(expected);
+});
+
+test('every mode has a comparator', () => {
+  for (const mode of Object.keys(SORT_MODES)) {
+    expect(sortItems(items, mode)).toHaveLength(items.length);
+  }
+});
+
+test('unknown modes fall back to name', () => {
+  expect(ids('bogus')).toEqual(ids('name'));
+});
+
+test('sorting does not reorder the input', () => {
+  sortItems(items, 'recentlyCreated');
+  expect(items.map(item => item.id)).toEqual(['b', 'a', 'c', 'f']);
+});
+
+test('recordUse counts uses without touching updatedAt', () => {
+  const used = recordUse(recordUse(items[2], 100), 200);
+  expect(used).toMatchObject({ useCount: 2, lastUsedAt: 200, updatedAt: 4 });
+});
+
+test('only copying the current password counts as a use', () => {
+  const login = { id: 'l', type: 'login', username: 'me', password: 'pw', totp: 'JBSWY3DPEHPK3PXP' };
+  expect(countsAsUse(login, 'password')).toBe(true);
+  expect(countsAsUse(login, 'username')).toBe(false);
+  expect(countsAsUse(login, 'totp')).toBe(false);
+  expect(countsAsUse(login, 'history:0')).toBe(false);
+  expect(countsAsUse({ id: 'n', type: 'note', note: 'text' }, 'note')).toBe(false);
+});
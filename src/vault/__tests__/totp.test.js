@@ -0,0 +1,69 @@
+import { parseTotp, hotp, generateTotp, totpRemaining } from '../totp';
+import { base32Encode } from '../encoding';
+
+const ascii = (text) => new TextEncoder().encode(text);
+
+// RFC 6238 Appendix B seeds: the ASCII digits repeated to the hash size
+const SEEDS = {
+  SHA1: ascii('12345678901234567890'),
+  SHA256: ascii('12345678901234567890123456789012'),
+  SHA512: ascii('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+const RFC6238 = [
+  [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+  [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+  [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+  [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+  [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+  [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+describe('RFC 6238 test vectors', () => {
+  for (const algorithm of Object.keys(SEEDS)) {
+    test.each(RFC6238)(`${algorithm} at %i`, (seconds, expected) => {
+      const uri = `otpauth://totp/Example:alice?secret=${base32Encode(SEEDS[algorithm])}&algorithm=${algorithm}&digits=8&period=30`;
+      expect(generateTotp(parseTotp(uri), seconds * 1000)).toBe(expected[algorithm]);
+    });
+  }
+});
+
+test('RFC 4226 HOTP test vectors', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+  expected.forEach((code, counter) => {
+    expect(hotp(SEEDS.SHA1, counter)).toBe(code);
+  });
+});
+
+describe('parseTotp', () => {
+  test('a bare base32 key uses the defaults', () => {
+    const config = parseTotp('gezd gnbv gy3t qojq gezd gnbv gy3t qojq');
+    expect(config).toMatchObject({ algorithm: 'SHA1', digits: 6, period: 30, issuer: '' });
+    expect(config.secret).toEqual(SEEDS.SHA1);
+    expect(generateTotp(config, 59000)).toBe('287082');
+  });
+
+  test('reads issuer and account from the URI', () => {
+    const config = parseTotp('otpauth://totp/ACME%20Co:john%40example.com?secret=GEZDGNBVGY3TQOJQ&issuer=ACME+Co&period=60');
+    expect(config).toMatchObject({ issuer: 'ACME Co', account: 'john@example.com', period: 60, digits: 6 });
+  });
+
+  test('falls back to the label issuer', () => {
+    expect(parseTotp('otpauth://totp/GitHub:me?secret=GEZDGNBV').issuer).toBe('GitHub');
+  });
+
+  test('rejects invalid input', () => {
+    expect(() => parseTotp('not base32!')).toThrow('not valid base32');
+    expect(() => parseTotp('')).toThrow('empty');
+    expect(() => parseTotp('otpauth://hotp/x?secret=GEZDGNBV&counter=1')).toThrow('time-based');
+    expect(() => parseTotp('otpauth://totp/x?secret=GEZDGNBV&algorithm=MD5')).toThrow('MD5');
+    expect(() => parseTotp('otpauth://totp/x?secret=GEZDGNBV&digits=4')).toThrow('digits');
+    expect(() => parseTotp('otpauth://totp/x?issuer=x')).toThrow('no secret');
+  });
+});
+
+test('totpRemaining counts down within the period', () => {
+  expect(totpRemaining(30, 0)).toBe(30);
+  expect(totpRemaining(30, 29000)).toBe(1);
+  expect(totpRemaining(30, 30500)).toBe(30);
+});
@@ -0,0 +1,129 @@
+// Breached-password check (k-anonymity range queries)
+// A password is hashed with SHA-1 and only the first 5 hex characters of
+// the hash are sent; the endpoint answers with every known suffix for that
+// prefix and the match happens here. The password and its full hash never
+// leave the device.
+
+import { sha1 } from '@noble/hashes/legacy.js';
+
+// Default endpoint. The breachRangeUrl setting can point the checks at any
+// Have I Been Pwned compatible mirror, to keep even the prefixes inside your
+// network
+export const BREACH_RANGE_URL = 'https://api.pwnedpasswords.com/range/';
+
+export const PREFIX_LENGTH = 5;
+
+/**
+ * Uppercase hex SHA-1 of a password.
+ * @param {string} password
+ * @returns {string}
+ */
+export function sha1Hex(password) {
+  return Array.from(sha1(new TextEncoder().encode(password)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+/**
+ * Parse a range response: one "SUFFIX:COUNT" per line. Padding entries
+ * (count 0) are dropped.
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+export function parseRange(text) {
+  const suffixes = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const [suffix, count] = line.trim().split(':');
+    if (suffix && Number(count) > 0) {
+      suffixes.set(suffix.toUpperCase(), Number(count));
+    }
+  }
+  return suffixes;
+}
+
+const RANGE_URL = /^(https?):\/\/(?:[^\s/?#@]*@)?(\[[^\]\s]+\]|[^\s/?#:]+)(?::\d+)?\/\S*$/i;
+
+// Loopback and private network hosts, where plain http stays off the internet
+const LOCAL_HOSTS = [
+  /^localhost$/,
+  /\.(localhost|local|internal|lan|home\.arpa)$/,
+  /^127\.\d+\.\d+\.\d+$/,
+  /^10\.\d+\.\d+\.\d+$/,
+  /^192\.168\.\d+\.\d+$/,
+  /^172\.(1[6-9]|2\d|3[01])\.\d+\.\d+$/,
+  /^\[(::1|f[cd][0-9a-f]{2}:[0-9a-f:]*)\]$/
+];
+
+/**
+ * Whether a range endpoint can be used: an http(s) URL with a path the
+ * prefix can be appended to as is.
+ * @param {string} rangeUrl
+ * @returns {boolean}
+ */
+export function isValidRangeUrl(rangeUrl) {
+  return RANGE_URL.test(String(rangeUrl || ''));
+}
+
+/**
+ * Whether the prefixes sent to a valid range endpoint are protected in
+ * transit: https, or plain http to a loopback or private network host
+ * (local stubs and internal mirrors). Anything else deserves a warning.
+ * @param {string} rangeUrl
+ * @returns {boolean}
+ */
+export function isSecureRangeUrl(rangeUrl) {
+  const match = RANGE_URL.exec(String(rangeUrl || ''));
+  if (!match) return false;
+  const [, scheme, host] = match;
+  return scheme.toLowerCase() === 'https' || LOCAL_HOSTS.some(pattern => pattern.test(host.toLowerCase()));
+}
+
+/**
+ * Range fetcher for an HTTP endpoint: prefix → response text.
+ * @param {string} [rangeUrl] - The prefix is appended to it
+ * @param {Function} [fetchImpl]
+ * @returns {function(string): Promise<string>}
+ */
+export function httpRangeFetcher(rangeUrl = BREACH_RANGE_URL, fetchImpl = fetch) {
+  return async (prefix) => {
+    // Padding hides the real number of suffixes from anyone watching sizes
+    const response = await fetchImpl(`${rangeUrl}${prefix}`, { headers: { 'Add-Padding': 'true' } });
+    if (!response.ok) {
+      throw new Error(`Breach check failed (HTTP ${response.status})`);
+    }
+    return response.text();
+  };
+}
+
+/**
+ * Breach checker over a range fetcher. Ranges are cached per checker, so
+ * passwords sharing a prefix cost one request.
+ * @param {Object} [options]
+ * @param {string} [options.rangeUrl] - Endpoint for the default HTTP fetcher
+ * @param {function(string): Promise<string>} [options.fetchRange] - Replaces the HTTP fetcher (mirrors, tests)
+ * @returns {{count: function(string): Promise<number>}} count resolves to how
+ *   often the password appears in breaches, 0 if never
+ */
+export function createBreachChecker({ rangeUrl = BREACH_RANGE_URL, fetchRange } = {}) {
+  const fetcher = fetchRange || httpRangeFetcher(rangeUrl);
+  const ranges = new Map();
+
+  const range = (prefix) => {
+    if (!ranges.has(prefix)) {
+      const pending = Promise.resolve(fetcher(prefix)).then(parseRange);
+      // A failed request is retried next time
+      pending.catch(() => ranges.delete(prefix));
+      ranges.set(prefix, pending);
+    }
+    return ranges.get(prefix);
+  };
+
+  return {
+    async count(password) {
+      const hash = sha1Hex(password);
+      const suffixes = await range(hash.slice(0, PREFIX_LENGTH));
+      return suffixes.get(hash.slice(PREFIX_LENGTH)) || 0;
+    }
+  };
+}
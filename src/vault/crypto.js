@@ -1,8 +1,11 @@
 // Zero-Knowledge Crypto Module for React Native
 // Production-grade encryption with Expo Crypto API
 
-import * as Crypto from 'expo-crypto';
 import { argon2id } from '@noble/hashes/argon2.js';
+import { hkdf } from '@noble/hashes/hkdf.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { base32Encode, base32Decode } from './encoding';
+import { encodePayload, decodePayload } from './payload';
 
 // Lazy accessors for crypto API (polyfills load asynchronously in Expo Go)
 function getCryptoSubtle() {
@@ -20,82 +23,345 @@ function getCryptoRandom() {
 }
 
 /**
- * Derives a secure master key using Argon2id (REQUIRED for zero-knowledge).
- * CRITICAL: Master password must NEVER leave this function or be stored.
- * @param {string} password - Master password (cleared after use)
- * @param {Uint8Array} salt - User-specific salt (32 bytes)
- * @returns {Promise<CryptoKey>} Extractable master key for session storage
+ * KDF descriptor format version. Bump when the descriptor shape changes.
  */
-export async function deriveKey(password, salt) {
-  const enc = new TextEncoder();
-  
-  // Ensure salt is Uint8Array
-  if (!(salt instanceof Uint8Array)) {
-    salt = new Uint8Array(salt);
+export const KDF_DESCRIPTOR_VERSION = 1;
+
+/**
+ * Parameters used by every vault created before the KDF descriptor existed.
+ * NEVER change these: they are how legacy vaults are unlocked.
+ */
+export const LEGACY_KDF = Object.freeze({
+  algorithm: 'argon2id',
+  version: KDF_DESCRIPTOR_VERSION,
+  memory: 16384,    // KiB (16MB - reduced from 64MB for mobile)
+  iterations: 2,    // reduced from 3 for mobile
+  parallelism: 1    // reduced from 4 for mobile
+});
+
+/**
+ * Parameters for new vaults and for upgrading existing ones.
+ * Still the legacy parameters. To raise them, give DEFAULT_KDF its own
+ * descriptor: vaults record the descriptor they were created with and are
+ * re-wrapped to these parameters on the next successful unlock.
+ */
+export const DEFAULT_KDF = LEGACY_KDF;
+
+/**
+ * PBKDF2 parameters for runtimes where Argon2id cannot run.
+ * Only ever used when recorded in the envelope, never as a silent fallback.
+ * NEVER change these either: vaults from the removed silent PBKDF2 fallback
+ * were derived with them.
+ */
+export const PBKDF2_KDF = Object.freeze({
+  algorithm: 'pbkdf2-sha256',
+  version: KDF_DESCRIPTOR_VERSION,
+  iterations: 600000
+});
+
+// Cost parameters every descriptor of a known algorithm must carry
+const KDF_PARAMS = {
+  argon2id: ['memory', 'iterations', 'parallelism'],
+  'pbkdf2-sha256': ['iterations']
+};
+
+/**
+ * Resolve the KDF descriptor stored in a vault envelope.
+ * Envelopes without a descriptor were derived with LEGACY_KDF.
+ * @param {Object|undefined} kdf - Descriptor from the envelope
+ * @returns {Object} KDF descriptor
+ * @throws {Error} If the descriptor is from a newer app version or malformed
+ */
+export function resolveKdf(kdf) {
+  if (!kdf) return LEGACY_KDF;
+
+  if (kdf.version > KDF_DESCRIPTOR_VERSION) {
+    throw new Error('Vault uses a newer KDF format. Please update the app.');
   }
-  
+  // The descriptor is synced: never hand a malformed one to the KDF
+  for (const param of KDF_PARAMS[kdf.algorithm] || []) {
+    if (!Number.isSafeInteger(kdf[param]) || kdf[param] < 1) {
+      throw new Error(`Invalid KDF descriptor: ${param} must be a positive integer.`);
+    }
+  }
+  return kdf;
+}
+
+/**
+ * Current parameters for a vault's KDF algorithm. Upgrades never switch
+ * algorithms: PBKDF2 is only recorded when Argon2id could not run on the
+ * creating device, which would be locked out after a switch.
+ * @param {Object|undefined} kdf - Descriptor from the envelope
+ * @returns {Object|null} KDF descriptor, null for unknown algorithms
+ */
+export function kdfUpgradeTarget(kdf) {
+  switch (resolveKdf(kdf).algorithm) {
+    case DEFAULT_KDF.algorithm:
+      return DEFAULT_KDF;
+    case PBKDF2_KDF.algorithm:
+      return PBKDF2_KDF;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a vault's KDF parameters are weaker than the current ones
+ * for its algorithm (see kdfUpgradeTarget) and should be re-wrapped.
+ * @param {Object|undefined} kdf - Descriptor from the envelope
+ * @returns {boolean}
+ */
+export function isKdfOutdated(kdf) {
+  const current = resolveKdf(kdf);
+  const target = kdfUpgradeTarget(current);
+  if (!target) return false;
+  return KDF_PARAMS[target.algorithm].some(param => current[param] < target[param]);
+}
+
+/**
+ * Thrown when the KDF recorded in a vault cannot run on this runtime.
+ * Never fall back to another KDF: it would derive a different key.
+ */
+export class KdfUnavailableError extends Error {
+  constructor(algorithm, cause) {
+    super(`Key derivation "${algorithm}" is not available on this device.`);
+    this.name = 'KdfUnavailableError';
+    this.algorithm = algorithm;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Derive raw key bytes with Argon2id.
+ * @param {Uint8Array} passwordBytes
+ * @param {Uint8Array} salt
+ * @param {Object} params - Argon2id KDF descriptor
+ * @returns {Uint8Array} 32 bytes
+ */
+function deriveArgon2idBytes(passwordBytes, salt, params) {
   try {
-    // BALANCED: Use Argon2id optimized for both desktop and mobile
-    // Parameters: m=16384 KiB (16MB), t=2 iterations, p=1 parallelism
-    const passwordBytes = enc.encode(password);
-    
     // Using @noble/hashes argon2id
-    const derivedKey = argon2id(passwordBytes, salt, {
-      t: 2,        // iterations (reduced from 3 for mobile)
-      m: 16384,    // memory in KiB (16MB - reduced from 64MB for mobile)
-      p: 1,        // parallelism (reduced from 4 for mobile)
+    return argon2id(passwordBytes, salt, {
+      t: params.iterations,
+      m: params.memory,
+      p: params.parallelism,
       dkLen: 32    // output length in bytes
     });
-    
-    // Import into Web Crypto API as extractable key for session storage
-    const masterKey = await getCryptoSubtle().importKey(
-      'raw',
-      derivedKey,
-      { name: 'AES-GCM', length: 256 },
-      true, // Extractable for session persistence
-      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
-    );
-    
-    // CRITICAL: Zero out password bytes from memory
-    passwordBytes.fill(0);
-    derivedKey.fill(0);
-    
-    console.log('✓ Argon2id key derivation successful');
-    return masterKey;
-    
   } catch (err) {
-    console.error('Argon2id failed, falling back to PBKDF2 (INSECURE):', err);
-    
-    // FALLBACK: PBKDF2 (NOT recommended for production)
+    throw new KdfUnavailableError(params.algorithm, err);
+  }
+}
+
+/**
+ * Derive raw key bytes with PBKDF2-SHA256 via Web Crypto.
+ * @param {Uint8Array} passwordBytes
+ * @param {Uint8Array} salt
+ * @param {Object} params - PBKDF2 KDF descriptor
+ * @returns {Promise<Uint8Array>} 32 bytes
+ */
+async function derivePbkdf2Bytes(passwordBytes, salt, params) {
+  let bits;
+  try {
     const keyMaterial = await getCryptoSubtle().importKey(
       'raw',
-      enc.encode(password),
+      passwordBytes,
       { name: 'PBKDF2' },
       false,
       ['deriveBits']
     );
     
-    const bits = await getCryptoSubtle().deriveBits(
+    bits = await getCryptoSubtle().deriveBits(
       {
         name: 'PBKDF2',
         salt: salt,
-        iterations: 600000, // High iterations for PBKDF2 fallback
+        iterations: params.iterations,
         hash: 'SHA-256'
       },
       keyMaterial,
       256
     );
+  } catch (err) {
+    throw new KdfUnavailableError(params.algorithm, err);
+  }
+  return new Uint8Array(bits);
+}
+
+/**
+ * Derives a secure master key with the KDF recorded in the vault envelope.
+ * CRITICAL: Master password must NEVER leave this function or be stored.
+ * @param {string} password - Master password (cleared after use)
+ * @param {Uint8Array} salt - User-specific salt (32 bytes)
+ * @param {Object} [kdf] - KDF descriptor recorded in the vault envelope
+ * @returns {Promise<CryptoKey>} Extractable master key for session storage
+ * @throws {KdfUnavailableError} If the KDF cannot run on this runtime
+ */
+export async function deriveKey(password, salt, kdf = DEFAULT_KDF) {
+  const enc = new TextEncoder();
+  const params = resolveKdf(kdf);
+  
+  // Ensure salt is Uint8Array
+  if (!(salt instanceof Uint8Array)) {
+    salt = new Uint8Array(salt);
+  }
+  
+  const passwordBytes = enc.encode(password);
+  let derivedKey;
+  
+  try {
+    if (params.algorithm === 'argon2id') {
+      derivedKey = deriveArgon2idBytes(passwordBytes, salt, params);
+    } else if (params.algorithm === 'pbkdf2-sha256') {
+      derivedKey = await derivePbkdf2Bytes(passwordBytes, salt, params);
+    } else {
+      throw new KdfUnavailableError(params.algorithm);
+    }
+  } finally {
+    // CRITICAL: Zero out password bytes from memory
+    passwordBytes.fill(0);
+  }
+  
+  // Import into Web Crypto API as extractable key for session storage
+  const masterKey = await getCryptoSubtle().importKey(
+    'raw',
+    derivedKey,
+    { name: 'AES-GCM', length: 256 },
+    true, // Extractable for session persistence
+    ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+  );
+  
+  derivedKey.fill(0);
+  
+  console.log(`✓ ${params.algorithm} key derivation successful`);
+  return masterKey;
+}
+
+/**
+ * Check whether a KDF can run on this runtime (cheap probe, tiny parameters).
+ * @param {Object} kdf - KDF descriptor
+ * @returns {Promise<boolean>}
+ */
+export async function isKdfAvailable(kdf) {
+  const probe = new Uint8Array(8);
+  try {
+    if (kdf.algorithm === 'argon2id') {
+      deriveArgon2idBytes(probe, probe, { ...kdf, memory: 8, iterations: 1, parallelism: 1 });
+    } else if (kdf.algorithm === 'pbkdf2-sha256') {
+      await derivePbkdf2Bytes(probe, probe, { ...kdf, iterations: 1 });
+    } else {
+      return false;
+    }
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Pick the KDF for a new vault. The choice is recorded in the envelope so
+ * unlock uses exactly the same KDF on every device.
+ * @returns {Promise<Object>} KDF descriptor
+ * @throws {KdfUnavailableError} If no supported KDF runs on this runtime
+ */
+export async function selectKdf() {
+  if (await isKdfAvailable(DEFAULT_KDF)) {
+    return DEFAULT_KDF;
+  }
+  
+  if (await isKdfAvailable(PBKDF2_KDF)) {
+    console.warn('Argon2id unavailable, creating vault with PBKDF2-SHA256');
+    return PBKDF2_KDF;
+  }
+  
+  throw new KdfUnavailableError(DEFAULT_KDF.algorithm);
+}
+
+/**
+ * KDF for a new master password on an existing vault: the current
+ * parameters of its recorded algorithm, never another algorithm (see
+ * kdfUpgradeTarget). Legacy envelopes record none and get selectKdf().
+ * @param {Object|undefined} recordedKdf - Descriptor from the envelope, or the
+ *   one unwrapDEKWithPassword found for a legacy envelope
+ * @returns {Promise<Object>} KDF descriptor
+ */
+export async function kdfForNewPassword(recordedKdf) {
+  if (!recordedKdf) return selectKdf();
+  return kdfUpgradeTarget(recordedKdf) || resolveKdf(recordedKdf);
+}
+
+/**
+ * Derive the master key and unwrap the DEK with the envelope's KDF.
+ * Envelopes without a descriptor predate it; some were silently derived by the
+ * removed PBKDF2 fallback, so both legacy KDFs are tried explicitly.
+ * @param {string} password - Master password
+ * @param {Uint8Array} salt - Salt from the envelope
+ * @param {Uint8Array} encryptedDEK
+ * @param {Uint8Array} dekIV
+ * @param {Object|undefined} recordedKdf - KDF descriptor from the envelope
+ * @param {Object} [context] - Envelope context the DEK was wrapped with
+ * @returns {Promise<{masterKey: CryptoKey, dek: CryptoKey, kdf: Object}>}
+ * @throws {KdfUnavailableError} If the vault's KDF cannot run on this runtime
+ */
+export async function unwrapDEKWithPassword(password, salt, encryptedDEK, dekIV, recordedKdf, context) {
+  const candidates = recordedKdf ? [resolveKdf(recordedKdf)] : [LEGACY_KDF, PBKDF2_KDF];
+  let unavailable = null;
+  
+  for (const kdf of candidates) {
+    let masterKey;
+    try {
+      masterKey = await deriveKey(password, salt, kdf);
+    } catch (err) {
+      if (err instanceof KdfUnavailableError) {
+        unavailable = err;
+        continue;
+      }
+      throw err;
+    }
     
-    const masterKey = await getCryptoSubtle().importKey(
-      'raw',
-      new Uint8Array(bits),
-      { name: 'AES-GCM', length: 256 },
-      true, // Extractable for session persistence
-      ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
-    );
-    
-    return masterKey;
+    try {
+      const dek = await decryptDEK(encryptedDEK, dekIV, masterKey, context);
+      return { masterKey, dek, kdf };
+    } catch (err) {
+      // Wrong password (or wrong legacy KDF), try next candidate
+    }
+  }
+  
+  if (unavailable) throw unavailable;
+  throw new Error('Invalid password');
+}
+
+/**
+ * Envelope format version. Format 2 binds every ciphertext to its context with
+ * AES-GCM additional authenticated data; format 1 (no `format` field) has none.
+ */
+export const ENVELOPE_FORMAT = 2;
+
+/**
+ * Build AES-GCM additional authenticated data for a blob.
+ * Binds the ciphertext to the account, envelope format and blob role so blobs
+ * cannot be swapped between accounts, versions or roles unnoticed.
+ * @param {{accountId: string, format: number}|undefined} context - Envelope context
+ * @param {string} role - 'dek' | 'recovery' | 'vault'
+ * @returns {Uint8Array|undefined} Undefined for legacy (format 1) envelopes
+ */
+export function buildAAD(context, role) {
+  if (!context || !context.format || context.format < 2) return undefined;
+  
+  if (!context.accountId) {
+    throw new Error('Account identifier required for authenticated encryption');
   }
+  
+  const accountId = context.accountId.trim().toLowerCase();
+  return new TextEncoder().encode(`passvault|v${context.format}|${role}|${accountId}`);
+}
+
+/**
+ * AES-GCM parameters, with additional data only when the context has AAD.
+ * @param {Uint8Array} iv
+ * @param {Uint8Array|undefined} aad
+ * @returns {Object}
+ */
+function gcmParams(iv, aad) {
+  return aad ? { name: "AES-GCM", iv, additionalData: aad } : { name: "AES-GCM", iv };
 }
 
 /**
@@ -111,21 +377,16 @@ export async function generateDEK() {
   );
 }
 
-/**
- * Encrypt the DEK with the master key (envelope encryption).
- * @param {CryptoKey} dek - Data Encryption Key
- * @param {CryptoKey} masterKey - Key Encryption Key (from password)
- * @returns {Promise<{encryptedDEK: Uint8Array, iv: Uint8Array}>}
- */
-export async function encryptDEK(dek, masterKey) {
+// Shared by master key and recovery key wrapping
+async function wrapDEK(dek, wrappingKey, aad) {
   // Export DEK to raw bytes
   const dekBytes = await getCryptoSubtle().exportKey("raw", dek);
   
   const iv = getCryptoRandom().getRandomValues(new Uint8Array(12));
   
   const encryptedDEK = await getCryptoSubtle().encrypt(
-    { name: "AES-GCM", iv },
-    masterKey,
+    gcmParams(iv, aad),
+    wrappingKey,
     dekBytes
   );
   
@@ -135,17 +396,10 @@ export async function encryptDEK(dek, masterKey) {
   };
 }
 
-/**
- * Decrypt the DEK with the master key.
- * @param {Uint8Array} encryptedDEK 
- * @param {Uint8Array} iv 
- * @param {CryptoKey} masterKey 
- * @returns {Promise<CryptoKey>} Decrypted DEK
- */
-export async function decryptDEK(encryptedDEK, iv, masterKey) {
+async function unwrapDEK(encryptedDEK, iv, wrappingKey, aad) {
   const dekBytes = await getCryptoSubtle().decrypt(
-    { name: "AES-GCM", iv },
-    masterKey,
+    gcmParams(iv, aad),
+    wrappingKey,
     encryptedDEK
   );
   
@@ -159,53 +413,172 @@ export async function decryptDEK(encryptedDEK, iv, masterKey) {
 }
 
 /**
- * Encrypt vault data with DEK.
- * @param {Array} data - Plaintext vault array
+ * Encrypt the DEK with the master key (envelope encryption).
  * @param {CryptoKey} dek - Data Encryption Key
- * @returns {Promise<{encryptedVault: Uint8Array, iv: Uint8Array}>}
+ * @param {CryptoKey} masterKey - Key Encryption Key (from password)
+ * @param {Object} [context] - Envelope context for AAD ({accountId, format})
+ * @returns {Promise<{encryptedDEK: Uint8Array, iv: Uint8Array}>}
  */
-export async function encryptVault(data, dek) {
-  const enc = new TextEncoder();
-  const plaintext = enc.encode(JSON.stringify(data));
+export async function encryptDEK(dek, masterKey, context) {
+  return wrapDEK(dek, masterKey, buildAAD(context, 'dek'));
+}
+
+/**
+ * Decrypt the DEK with the master key.
+ * @param {Uint8Array} encryptedDEK 
+ * @param {Uint8Array} iv 
+ * @param {CryptoKey} masterKey 
+ * @param {Object} [context] - Envelope context the DEK was wrapped with
+ * @returns {Promise<CryptoKey>} Decrypted DEK
+ */
+export async function decryptDEK(encryptedDEK, iv, masterKey, context) {
+  return unwrapDEK(encryptedDEK, iv, masterKey, buildAAD(context, 'dek'));
+}
+
+/**
+ * Re-wrap the DEK under a new master key (fresh salt + KDF parameters).
+ * Used to move a vault to stronger KDF parameters without touching vault data.
+ * @param {CryptoKey} dek - Data Encryption Key
+ * @param {string} password - Master password
+ * @param {Object} [kdf] - KDF descriptor for the new master key
+ * @param {Object} [context] - Envelope context for AAD ({accountId, format})
+ * @returns {Promise<{masterKey: CryptoKey, encryptedDEK: Uint8Array, dekIV: Uint8Array, salt: Uint8Array, kdf: Object}>}
+ */
+export async function rewrapDEK(dek, password, kdf = DEFAULT_KDF, context) {
+  const salt = generateSalt();
+  const masterKey = await deriveKey(password, salt, kdf);
+  const { encryptedDEK, iv: dekIV } = await encryptDEK(dek, masterKey, context);
+  
+  return { masterKey, encryptedDEK, dekIV, salt, kdf };
+}
+
+// Shared by the vault, item and index ciphertexts. The JSON is compressed and
+// padded first so ciphertext length only reveals a size bucket
+async function encryptJSON(value, key, aad) {
+  const plaintext = encodePayload(new TextEncoder().encode(JSON.stringify(value)));
   
   const iv = getCryptoRandom().getRandomValues(new Uint8Array(12));
   
   const ciphertext = await getCryptoSubtle().encrypt(
-    { name: "AES-GCM", iv },
-    dek,
+    gcmParams(iv, aad),
+    key,
     plaintext
   );
   
   return {
-    encryptedVault: new Uint8Array(ciphertext),
+    ciphertext: new Uint8Array(ciphertext),
     iv: new Uint8Array(iv)
   };
 }
 
+async function decryptJSON(ciphertext, iv, key, aad) {
+  const decrypted = await getCryptoSubtle().decrypt(
+    gcmParams(iv, aad),
+    key,
+    ciphertext
+  );
+  
+  // Payloads written before framing are bare JSON
+  return JSON.parse(new TextDecoder().decode(decodePayload(new Uint8Array(decrypted))));
+}
+
+/**
+ * Encrypt vault data with DEK as a single ciphertext (layout before per-item records).
+ * @param {Array} data - Plaintext vault array
+ * @param {CryptoKey} dek - Data Encryption Key
+ * @param {Object} [context] - Envelope context for AAD ({accountId, format})
+ * @returns {Promise<{encryptedVault: Uint8Array, iv: Uint8Array}>}
+ */
+export async function encryptVault(data, dek, context) {
+  const { ciphertext, iv } = await encryptJSON(data, dek, buildAAD(context, 'vault'));
+  return { encryptedVault: ciphertext, iv };
+}
+
 /**
  * Decrypt vault data with DEK.
  * @param {Uint8Array} encryptedVault 
  * @param {Uint8Array} iv 
  * @param {CryptoKey} dek 
+ * @param {Object} [context] - Envelope context the vault was encrypted with
  * @returns {Promise<Array>}
  */
-export async function decryptVault(encryptedVault, iv, dek) {
+export async function decryptVault(encryptedVault, iv, dek, context) {
   try {
-    const decrypted = await getCryptoSubtle().decrypt(
-      { name: "AES-GCM", iv },
-      dek,
-      encryptedVault
-    );
-    
-    const dec = new TextDecoder();
-    const json = dec.decode(decrypted);
-    return JSON.parse(json);
+    return await decryptJSON(encryptedVault, iv, dek, buildAAD(context, 'vault'));
   } catch (err) {
     console.error('Vault decryption failed:', err);
     throw new Error('Failed to decrypt vault. Wrong password or corrupted data.');
   }
 }
 
+/**
+ * Encrypt one vault item with DEK.
+ * The AAD binds the ciphertext to its record id, so records cannot be swapped.
+ * @param {Object} item - Plaintext item
+ * @param {CryptoKey} dek - Data Encryption Key
+ * @param {string} recordId - Opaque id of the record holding this item
+ * @param {Object} [context] - Envelope context for AAD ({accountId, format})
+ * @returns {Promise<{ciphertext: Uint8Array, iv: Uint8Array}>}
+ */
+export async function encryptItem(item, dek, recordId, context) {
+  return encryptJSON(item, dek, buildAAD(context, `item:${recordId}`));
+}
+
+/**
+ * Decrypt one vault item with DEK.
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} iv
+ * @param {CryptoKey} dek
+ * @param {string} recordId
+ * @param {Object} [context] - Envelope context the item was encrypted with
+ * @returns {Promise<Object>}
+ */
+export async function decryptItem(ciphertext, iv, dek, recordId, context) {
+  try {
+    return await decryptJSON(ciphertext, iv, dek, buildAAD(context, `item:${recordId}`));
+  } catch (err) {
+    console.error('Item decryption failed:', err);
+    throw new Error('Failed to decrypt vault item. Corrupted data.');
+  }
+}
+
+/**
+ * Encrypt the vault index (which records make up the vault, in order).
+ * @param {Array} index
+ * @param {CryptoKey} dek
+ * @param {Object} [context] - Envelope context for AAD ({accountId, format})
+ * @returns {Promise<{ciphertext: Uint8Array, iv: Uint8Array}>}
+ */
+export async function encryptIndex(index, dek, context) {
+  return encryptJSON(index, dek, buildAAD(context, 'index'));
+}
+
+/**
+ * Decrypt the vault index.
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} iv
+ * @param {CryptoKey} dek
+ * @param {Object} [context] - Envelope context the index was encrypted with
+ * @returns {Promise<Array>}
+ */
+export async function decryptIndex(ciphertext, iv, dek, context) {
+  try {
+    return await decryptJSON(ciphertext, iv, dek, buildAAD(context, 'index'));
+  } catch (err) {
+    console.error('Index decryption failed:', err);
+    throw new Error('Failed to decrypt vault. Wrong password or corrupted data.');
+  }
+}
+
+/**
+ * Generate cryptographically secure random bytes.
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+export function randomBytes(length) {
+  return getCryptoRandom().getRandomValues(new Uint8Array(length));
+}
+
 /**
  * Generate a random salt for key derivation.
  * @returns {Uint8Array} 32-byte salt
@@ -215,8 +588,120 @@ export function generateSalt() {
 }
 
 /**
- * Generate recovery key from user email, master password, and salt.
+ * Prefix of recovery keys that wrap a copy of the DEK (no master password inside).
+ */
+const RECOVERY_KEY_PREFIX = 'PVRK1';
+
+/**
+ * Generate a random high-entropy recovery secret.
+ * @returns {Uint8Array} 32-byte secret
+ */
+export function generateRecoverySecret() {
+  return getCryptoRandom().getRandomValues(new Uint8Array(32));
+}
+
+/**
+ * Encode a recovery secret for the recovery key file.
+ * Format: PVRK1-XXXX-XXXX-... (base32 in groups of 4)
+ * @param {Uint8Array} secret
+ * @returns {string}
+ */
+export function encodeRecoveryKey(secret) {
+  const groups = base32Encode(secret).match(/.{1,4}/g);
+  return [RECOVERY_KEY_PREFIX, ...groups].join('-');
+}
+
+/**
+ * Decode a recovery key produced by encodeRecoveryKey.
+ * @param {string} recoveryKey
+ * @returns {Uint8Array} 32-byte secret
+ */
+export function decodeRecoveryKey(recoveryKey) {
+  const normalized = recoveryKey.trim().toUpperCase();
+  if (!normalized.startsWith(RECOVERY_KEY_PREFIX + '-')) {
+    throw new Error('Invalid recovery key format');
+  }
+
+  let secret;
+  try {
+    secret = base32Decode(normalized.slice(RECOVERY_KEY_PREFIX.length + 1));
+  } catch (err) {
+    throw new Error('Invalid recovery key format');
+  }
+  if (secret.length !== 32) {
+    throw new Error('Invalid recovery key format');
+  }
+  return secret;
+}
+
+/**
+ * Check whether a recovery key uses the legacy base64(email|password|salt) format.
+ * @param {string} recoveryKey
+ * @returns {boolean}
+ */
+export function isLegacyRecoveryKey(recoveryKey) {
+  return !recoveryKey.trim().toUpperCase().startsWith(RECOVERY_KEY_PREFIX + '-');
+}
+
+/**
+ * Turn a recovery secret into an AES-GCM wrapping key (HKDF-SHA256).
+ * The secret is already high-entropy, so no password KDF is needed.
+ * @param {Uint8Array} secret
+ * @returns {Promise<CryptoKey>}
+ */
+async function importRecoverySecret(secret) {
+  const info = new TextEncoder().encode('passvault-recovery-v1');
+  const keyBytes = hkdf(sha256, secret, undefined, info, 32);
+  
+  const recoveryKey = await getCryptoSubtle().importKey(
+    'raw',
+    keyBytes,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  
+  keyBytes.fill(0);
+  return recoveryKey;
+}
+
+/**
+ * Wrap a second copy of the DEK with the recovery secret.
+ * @param {CryptoKey} dek - Data Encryption Key
+ * @param {Uint8Array} secret - Recovery secret
+ * @param {Object} [context] - Envelope context for AAD ({accountId, format})
+ * @returns {Promise<{recoveryDEK: Uint8Array, recoveryIV: Uint8Array}>}
+ */
+export async function encryptDEKWithRecoveryKey(dek, secret, context) {
+  const recoveryKey = await importRecoverySecret(secret);
+  const { encryptedDEK, iv } = await wrapDEK(dek, recoveryKey, buildAAD(context, 'recovery'));
+  
+  return { recoveryDEK: encryptedDEK, recoveryIV: iv };
+}
+
+/**
+ * Unwrap the recovery copy of the DEK.
+ * @param {Uint8Array} recoveryDEK
+ * @param {Uint8Array} recoveryIV
+ * @param {Uint8Array} secret - Recovery secret
+ * @param {Object} [context] - Envelope context the recovery copy was wrapped with
+ * @returns {Promise<CryptoKey>} Decrypted DEK
+ */
+export async function decryptDEKWithRecoveryKey(recoveryDEK, recoveryIV, secret, context) {
+  const recoveryKey = await importRecoverySecret(secret);
+  
+  try {
+    return await unwrapDEK(recoveryDEK, recoveryIV, recoveryKey, buildAAD(context, 'recovery'));
+  } catch (err) {
+    throw new Error('Recovery key does not match this vault');
+  }
+}
+
+/**
+ * Generate a LEGACY recovery key from user email, master password, and salt.
  * Format: base64(email|password|salt)
+ * @deprecated Embeds the master password. New vaults use generateRecoverySecret;
+ * kept so legacy keys can be produced for migration tests.
  * @param {string} email 
  * @param {string} masterPassword 
  * @param {Uint8Array} salt 
@@ -241,7 +726,7 @@ export function generateRecoveryKey(email, masterPassword, salt) {
 }
 
 /**
- * Parse recovery key back to email, password, salt.
+ * Parse a LEGACY recovery key back to email, password, salt.
  * @param {string} recoveryKey - Base64-encoded recovery key
  * @returns {{email: string, password: string, salt: Uint8Array}}
  */
@@ -0,0 +1,61 @@
+// Byte encoding helpers shared by the vault modules
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | bytes[i];
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32. Case-insensitive; spaces, dashes and padding are ignored.
+ * @param {string} input
+ * @returns {Uint8Array}
+ */
+export function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  const output = new Uint8Array(Math.floor((clean.length * 5) / 8));
+
+  let bits = 0;
+  let value = 0;
+  let index = 0;
+
+  for (let i = 0; i < clean.length; i++) {
+    const digit = BASE32_ALPHABET.indexOf(clean[i]);
+    if (digit === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | digit;
+    bits += 5;
+
+    if (bits >= 8) {
+      output[index++] = (value >>> (bits - 8)) & 255;
+      bits -= 8;
+    }
+  }
+
+  return output;
+}
@@ -0,0 +1,98 @@
+// Vault envelope helpers for React Native
+// The envelope is the encrypted blob synced with the backend: the vault
+// ciphertext plus everything another device needs to unwrap the DEK.
+
+import { ENVELOPE_FORMAT } from './crypto';
+
+/**
+ * Build the blob pushed to the backend from locally stored vault data.
+ * @param {Object} vaultData - Vault data as stored by setVault
+ * @returns {Object} Encrypted blob for api.syncVault
+ */
+export function toSyncBlob(vaultData) {
+  return {
+    records: vaultData.records,
+    index: vaultData.index,
+    encryptedVault: vaultData.encryptedVault,
+    vaultIV: vaultData.vaultIV,
+    encryptedDEK: vaultData.encryptedDEK,
+    dekIV: vaultData.dekIV,
+    salt: vaultData.salt,
+    kdf: vaultData.kdf,
+    recoveryDEK: vaultData.recoveryDEK,
+    recoveryIV: vaultData.recoveryIV,
+    recoveryFormat: vaultData.recoveryFormat,
+    format: vaultData.format
+  };
+}
+
+/**
+ * AAD context of the DEK and vault ciphertexts in an existing envelope.
+ * Envelopes without a `format` field were written without AAD (format 1).
+ * @param {string} accountId - Account email
+ * @param {Object|null} vaultData
+ * @returns {{accountId: string, format: number}}
+ */
+export function envelopeContext(accountId, vaultData) {
+  return { accountId, format: (vaultData && vaultData.format) || 1 };
+}
+
+/**
+ * AAD context of the recovery copy of the DEK. It can lag behind the rest of
+ * the envelope because only the recovery secret can re-wrap it.
+ * @param {string} accountId - Account email
+ * @param {Object} vaultData
+ * @returns {{accountId: string, format: number}}
+ */
+export function recoveryContext(accountId, vaultData) {
+  return { accountId, format: vaultData.recoveryFormat || vaultData.format || 1 };
+}
+
+/**
+ * AAD context for newly written ciphertexts.
+ * @param {string} accountId - Account email
+ * @returns {{accountId: string, format: number}}
+ */
+export function currentContext(accountId) {
+  return { accountId, format: ENVELOPE_FORMAT };
+}
+
+/**
+ * Normalize an encrypted blob received from the backend.
+ * It might be a Buffer (from PostgreSQL), a JSON string, or an object.
+ * @param {Object|string} encryptedBlob
+ * @returns {Object} Parsed blob
+ */
+export function parseSyncBlob(encryptedBlob) {
+  let blob = encryptedBlob;
+
+  if (blob && blob.type === 'Buffer' && Array.isArray(blob.data)) {
+    console.log('Converting Buffer to string...');
+    const jsonString = String.fromCharCode(...blob.data);
+    blob = JSON.parse(jsonString);
+  } else if (typeof blob === 'string') {
+    blob = JSON.parse(blob);
+  }
+
+  return blob;
+}
+
+/**
+ * Check whether the wrapped DEK differs between two envelopes.
+ * Any re-wrap (password change, KDF upgrade, DEK rotation) makes session keys stale.
+ * @param {Object|null} previous - Locally stored vault data
+ * @param {Object} next - Incoming vault data
+ * @returns {boolean}
+ */
+export function hasKeyChanged(previous, next) {
+  if (!previous || !previous.encryptedDEK || !next.encryptedDEK) return false;
+
+  const a = previous.encryptedDEK;
+  const b = next.encryptedDEK;
+  if (a.length !== b.length) return true;
+
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return true;
+  }
+  return false;
+}
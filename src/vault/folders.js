@@ -0,0 +1,115 @@
+// Folders and tags
+// Both live on the items themselves (`folder`: one name, `tags`: names), so
+// they are encrypted with the item and the server never sees them. The
+// folder and tag lists are derived from the items.
+
+export const ALL_ITEMS = { type: 'all' };
+export const UNFILED = { type: 'unfiled' };
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+function countBy(names) {
+  const counts = new Map();
+  for (const name of names) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts].map(([name, count]) => ({ name, count })).sort(byName);
+}
+
+/**
+ * Folders in use, with item counts.
+ * @param {Array<Object>} items
+ * @returns {Array<{name: string, count: number}>}
+ */
+export function listFolders(items) {
+  return countBy(items.map(item => item.folder).filter(Boolean));
+}
+
+/**
+ * Tags in use, with item counts.
+ * @param {Array<Object>} items
+ * @returns {Array<{name: string, count: number}>}
+ */
+export function listTags(items) {
+  return countBy(items.flatMap(item => item.tags || []));
+}
+
+/**
+ * Clean up a folder name typed by the user.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeFolder(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Split typed text into tags: comma or whitespace separated, lowercase,
+ * without a leading '#', no duplicates.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseTags(text) {
+  const tags = String(text || '')
+    .split(/[,\s]+/)
+    .map(tag => tag.replace(/^#+/, '').toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Items matching a filter: ALL_ITEMS, UNFILED, { type: 'folder', name } or
+ * { type: 'tag', name }.
+ * @param {Array<Object>} items
+ * @param {Object} filter
+ * @returns {Array<Object>}
+ */
+export function filterItems(items, filter) {
+  switch (filter.type) {
+    case 'folder':
+      return items.filter(item => item.folder === filter.name);
+    case 'tag':
+      return items.filter(item => (item.tags || []).includes(filter.name));
+    case 'unfiled':
+      return items.filter(item => !item.folder);
+    default:
+      return items;
+  }
+}
+
+// Apply a change to every item in a folder, for a single save
+function updateFolderItems(items, name, change) {
+  const changedIds = [];
+  const updated = items.map(item => {
+    if (item.folder !== name) return item;
+    changedIds.push(item.id);
+    return { ...change(item), updatedAt: Date.now() };
+  });
+  return { items: updated, changedIds };
+}
+
+/**
+ * Rename a folder on every item in it. Renaming onto an existing folder
+ * merges the two.
+ * @param {Array<Object>} items
+ * @param {string} from
+ * @param {string} to
+ * @returns {{items: Array<Object>, changedIds: Array<string>}}
+ */
+export function renameFolder(items, from, to) {
+  const name = normalizeFolder(to);
+  if (!name) {
+    throw new Error('Folder name cannot be empty');
+  }
+  return updateFolderItems(items, from, item => ({ ...item, folder: name }));
+}
+
+/**
+ * Delete a folder. Its items are kept and become unfiled.
+ * @param {Array<Object>} items
+ * @param {string} name
+ * @returns {{items: Array<Object>, changedIds: Array<string>}}
+ */
+export function deleteFolder(items, name) {
+  return updateFolderItems(items, name, item => ({ ...item, folder: '' }));
+}
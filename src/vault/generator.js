@@ -0,0 +1,169 @@
+// Password and passphrase generator for React Native
+// Uses the same getRandomValues source as the vault crypto.
+
+import { randomBytes } from './crypto';
+import { WORDLIST } from './wordlist';
+
+export const CHARSETS = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!@#$%^&*()-_=+[]{};:,.<>/?~'
+};
+
+// Characters that are easy to confuse when read or typed by hand
+const AMBIGUOUS = new Set('Il1|O0o{}[]()/,.;:');
+
+const CONSONANTS = 'bcdfghjkmnprstvwz';
+const VOWELS = 'aeiu';
+
+export const GENERATOR_MODES = ['random', 'pronounceable', 'passphrase'];
+
+export const DEFAULT_GENERATOR_OPTIONS = Object.freeze({
+  mode: 'random',
+  length: 20,
+  lowercase: true,
+  uppercase: true,
+  digits: true,
+  symbols: true,
+  excludeAmbiguous: false,
+  words: 5,
+  separator: '-',
+  capitalize: false
+});
+
+export const LENGTH_RANGE = { min: 8, max: 64 };
+export const WORDS_RANGE = { min: 3, max: 12 };
+
+/**
+ * Uniform random integer in [0, max) without modulo bias.
+ * @param {number} max - Upper bound, at most 2^32
+ * @returns {number}
+ */
+export function randomInt(max) {
+  const limit = Math.floor(0x100000000 / max) * max;
+  for (;;) {
+    const bytes = randomBytes(4);
+    const value = ((bytes[0] << 24) >>> 0) + (bytes[1] << 16) + (bytes[2] << 8) + bytes[3];
+    if (value < limit) {
+      return value % max;
+    }
+  }
+}
+
+function pick(chars) {
+  return chars[randomInt(chars.length)];
+}
+
+// Fisher-Yates
+function shuffle(chars) {
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars;
+}
+
+function withoutAmbiguous(chars, excludeAmbiguous) {
+  return excludeAmbiguous ? [...chars].filter(c => !AMBIGUOUS.has(c)).join('') : chars;
+}
+
+/**
+ * Character sets enabled by the options.
+ * @param {Object} options
+ * @returns {Array<string>}
+ */
+function enabledCharsets(options) {
+  const sets = ['lowercase', 'uppercase', 'digits', 'symbols']
+    .filter(name => options[name])
+    .map(name => withoutAmbiguous(CHARSETS[name], options.excludeAmbiguous));
+  return sets.length > 0 ? sets : [withoutAmbiguous(CHARSETS.lowercase, options.excludeAmbiguous)];
+}
+
+// At least one character from every enabled class, so site rules are met
+function generateRandom(options) {
+  const sets = enabledCharsets(options);
+  const all = sets.join('');
+  const chars = sets.map(set => pick(set));
+  while (chars.length < options.length) {
+    chars.push(pick(all));
+  }
+  return shuffle(chars).join('');
+}
+
+// Alternating consonants and vowels; enabled classes replace a few letters
+function generatePronounceable(options) {
+  const consonants = withoutAmbiguous(CONSONANTS, options.excludeAmbiguous);
+  const vowels = withoutAmbiguous(VOWELS, options.excludeAmbiguous);
+  const chars = [];
+  for (let i = 0; i < options.length; i++) {
+    chars.push(pick(i % 2 === 0 ? consonants : vowels));
+  }
+
+  const positions = shuffle([...chars.keys()]);
+  if (options.uppercase) {
+    const i = positions.pop();
+    chars[i] = chars[i].toUpperCase();
+  }
+  for (const name of ['digits', 'symbols']) {
+    if (options[name]) {
+      chars[positions.pop()] = pick(withoutAmbiguous(CHARSETS[name], options.excludeAmbiguous));
+    }
+  }
+  return chars.join('');
+}
+
+function generatePassphrase(options) {
+  const words = [];
+  for (let i = 0; i < options.words; i++) {
+    const word = WORDLIST[randomInt(WORDLIST.length)];
+    words.push(options.capitalize ? word[0].toUpperCase() + word.slice(1) : word);
+  }
+  if (options.digits) {
+    const i = randomInt(words.length);
+    words[i] += pick(CHARSETS.digits);
+  }
+  return words.join(options.separator);
+}
+
+/**
+ * Generate a password or passphrase.
+ * @param {Object} [options] - See DEFAULT_GENERATOR_OPTIONS
+ * @returns {string}
+ */
+export function generatePassword(options = {}) {
+  const resolved = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+
+  switch (resolved.mode) {
+    case 'pronounceable':
+      return generatePronounceable(resolved);
+    case 'passphrase':
+      return generatePassphrase(resolved);
+    case 'random':
+      return generateRandom(resolved);
+    default:
+      throw new Error(`Unknown generator mode: ${resolved.mode}`);
+  }
+}
+
+/**
+ * Entropy in bits of passwords generated with these options (lower bound for
+ * pronounceable passwords, where only the letter pattern is counted).
+ * @param {Object} [options] - See DEFAULT_GENERATOR_OPTIONS
+ * @returns {number}
+ */
+export function generatorEntropy(options = {}) {
+  const resolved = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+
+  if (resolved.mode === 'passphrase') {
+    return resolved.words * Math.log2(WORDLIST.length);
+  }
+
+  if (resolved.mode === 'pronounceable') {
+    const consonants = withoutAmbiguous(CONSONANTS, resolved.excludeAmbiguous).length;
+    const vowels = withoutAmbiguous(VOWELS, resolved.excludeAmbiguous).length;
+    return Math.ceil(resolved.length / 2) * Math.log2(consonants) + Math.floor(resolved.length / 2) * Math.log2(vowels);
+  }
+
+  return resolved.length * Math.log2(enabledCharsets(resolved).join('').length);
+}
@@ -0,0 +1,197 @@
+// Vault health report
+// Runs over the decrypted items on the device; nothing is sent anywhere,
+// except hash prefixes for the breach check when the user asks for it.
+// Every check returns one issue per affected item, so the report can list
+// the items and open them for editing.
+
+import { getItemType } from './itemTypes';
+import { hostOf } from './search';
+import { estimateStrength } from '../utils/strength';
+
+export const DEFAULT_PASSWORD_MAX_AGE_MONTHS = 12;
+
+// Strength scores below this count as weak ("Strong" and up pass)
+export const WEAK_SCORE = 3;
+
+const MONTH = (365.25 / 12) * 24 * 60 * 60 * 1000;
+
+export const HEALTH_CHECKS = {
+  reused: { label: 'Reused passwords', icon: '🔁', description: 'One leak exposes every item sharing the password' },
+  weak: { label: 'Weak passwords', icon: '⚠️', description: 'Guessable by an offline attack' },
+  old: { label: 'Old passwords', icon: '⏳', description: 'Not changed for a long time' },
+  insecure: { label: 'Insecure websites', icon: '🔓', description: 'Login URLs on http:// or without a scheme' },
+  duplicates: { label: 'Duplicate items', icon: '👯', description: 'The same entry saved more than once' },
+  breached: { label: 'Breached passwords', icon: '🚨', description: 'Found in known data breaches' }
+};
+
+// Fields that identify the same entry, per item type; all must be filled in
+const DUPLICATE_KEYS = {
+  login: ['url', 'username'],
+  note: ['note'],
+  card: ['number'],
+  identity: ['fullName', 'documentNumber'],
+  wifi: ['ssid'],
+  license: ['licenseKey']
+};
+
+// Every non-empty password value of the vault
+function passwordEntries(items) {
+  return items.flatMap(item => getItemType(item).fields
+    .filter(field => field.kind === 'password' && item[field.key])
+    .map(field => ({ item, field, value: item[field.key] })));
+}
+
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!key) continue;
+    groups.set(key, [...(groups.get(key) || []), entry]);
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+const names = (entries) => {
+  const list = entries.map(entry => entry.item.name || 'Untitled');
+  return list.length > 2 ? `${list.slice(0, 2).join(', ')} and ${list.length - 2} more` : list.join(' and ');
+};
+
+function findReused(entries) {
+  return groupBy(entries, entry => entry.value).flatMap(group => group.map(entry => ({
+    item: entry.item,
+    field: entry.field.key,
+    detail: `Also used by ${names(group.filter(other => other !== entry))}`
+  })));
+}
+
+function findWeak(entries, userInputs) {
+  return entries.flatMap(entry => {
+    const { item, field, value } = entry;
+    const strength = estimateStrength(value, [item.name, item.username, item.ssid, ...userInputs]);
+    if (strength.score >= WEAK_SCORE) return [];
+    return [{ item, field: field.key, detail: `${strength.label}, cracked in ${strength.crackTime}` }];
+  });
+}
+
+/**
+ * When a password field was last set: its newest history entry, otherwise
+ * the item's creation. Never updatedAt: edits that leave the password alone
+ * (folder renames among them) bump it too.
+ * @param {Object} item
+ * @param {string} key
+ * @returns {number|null}
+ */
+export function passwordChangedAt(item, key) {
+  const changes = (item.passwordHistory || [])
+    .filter(entry => entry.field === key && entry.changedAt)
+    .map(entry => entry.changedAt);
+  return changes.length > 0 ? Math.max(...changes) : item.createdAt || null;
+}
+
+function findOld(entries, maxAgeMonths, now) {
+  return entries.flatMap(entry => {
+    const changedAt = passwordChangedAt(entry.item, entry.field.key);
+    if (!changedAt || now - changedAt < maxAgeMonths * MONTH) return [];
+    const months = Math.floor((now - changedAt) / MONTH);
+    return [{ item: entry.item, field: entry.field.key, detail: `Not changed for ${months} months` }];
+  });
+}
+
+// Plain http, or no scheme at all: "example.com/login" may be opened over
+// http. Other schemes (app links) are left alone
+function insecureUrlDetail(url) {
+  if (/^http:\/\//i.test(url)) return url;
+  if (url && !/^[a-z][a-z\d+.-]*:\/\//i.test(url)) return `${url} (no https://)`;
+  return null;
+}
+
+function findInsecure(items) {
+  return items.flatMap(item => {
+    const detail = item.type === 'login' ? insecureUrlDetail(String(item.url || '').trim()) : null;
+    return detail ? [{ item, field: 'url', detail }] : [];
+  });
+}
+
+function duplicateKey(item) {
+  const keys = DUPLICATE_KEYS[item.type];
+  if (!keys) return null;
+  const values = keys.map(key => {
+    const value = String(item[key] || '').trim().toLowerCase();
+    return key === 'url' ? hostOf(value) : value.replace(/\s+/g, ' ');
+  });
+  return values.every(Boolean) ? [item.type, ...values].join('\u0000') : null;
+}
+
+function findDuplicates(items) {
+  const entries = items.map(item => ({ item }));
+  return groupBy(entries, entry => duplicateKey(entry.item)).flatMap(group => group.map(entry => ({
+    item: entry.item,
+    detail: `Same as ${names(group.filter(other => other !== entry))}`
+  })));
+}
+
+const times = (count) => `${count.toLocaleString()} ${count === 1 ? 'time' : 'times'}`;
+
+/**
+ * Look up every password of the vault with a breach checker. Only hash
+ * prefixes are sent (see breach.js).
+ * @param {Array<Object>} items
+ * @param {{count: function(string): Promise<number>}} checker - From createBreachChecker
+ * @returns {Promise<Array<{item: Object, field: string, count: number, detail: string}>>}
+ */
+export async function findBreached(items, checker) {
+  const issues = [];
+  for (const { item, field, value } of passwordEntries(items)) {
+    const count = await checker.count(value);
+    if (count > 0) {
+      issues.push({ item, field: field.key, count, detail: `Seen ${times(count)} in data breaches` });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Analyze the vault.
+ * @param {Array<Object>} items - Decrypted items
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMonths] - Passwords older than this are old
+ * @param {Array<string>} [options.userInputs] - Account details that make a password weak (email)
+ * @param {number} [options.now]
+ * @param {Array<Object>} [options.breached] - Issues from findBreached, if checked
+ * @returns {{score: number, healthyItems: number, totalItems: number, checks: Object}}
+ *   score is the percentage of items without issues; checks maps each key of
+ *   HEALTH_CHECKS to its issues ({item, field, detail})
+ */
+export function analyzeVault(items, { maxAgeMonths = DEFAULT_PASSWORD_MAX_AGE_MONTHS, userInputs = [], now = Date.now(), breached = null } = {}) {
+  const entries = passwordEntries(items);
+  const checks = {
+    reused: findReused(entries),
+    weak: findWeak(entries, userInputs),
+    old: findOld(entries, maxAgeMonths, now),
+    insecure: findInsecure(items),
+    duplicates: findDuplicates(items),
+    // Only known once checked online
+    breached: breached || []
+  };
+
+  const affected = new Set(Object.values(checks).flatMap(issues => issues.map(issue => issue.item.id)));
+  const healthyItems = items.length - affected.size;
+  return {
+    score: items.length > 0 ? Math.round((healthyItems / items.length) * 100) : 100,
+    healthyItems,
+    totalItems: items.length,
+    checks
+  };
+}
+
+/**
+ * Word for an overall score.
+ * @param {number} score
+ * @returns {string}
+ */
+export function healthLabel(score) {
+  if (score >= 90) return 'Excellent';
+  if (score >= 70) return 'Good';
+  if (score >= 50) return 'Fair';
+  return 'Poor';
+}
@@ -0,0 +1,53 @@
+// Per-item password history
+// Previous values of the password fields of an item are kept inside the
+// item (`passwordHistory`, newest first), so they are encrypted and synced
+// with it.
+
+import { getItemType } from './itemTypes';
+
+export const DEFAULT_HISTORY_RETENTION = 10;
+
+// Fields whose old values are worth keeping
+function historyFields(item) {
+  return getItemType(item).fields.filter(field => field.kind === 'password');
+}
+
+/**
+ * Keep only the newest entries.
+ * @param {Array<Object>} history
+ * @param {number} retention - 0 keeps nothing
+ * @returns {Array<Object>}
+ */
+export function trimHistory(history, retention) {
+  return (history || []).slice(0, Math.max(0, retention));
+}
+
+/**
+ * The updated item with the password values it replaced added to its
+ * history. Unchanged and previously empty values are not recorded.
+ * @param {Object} previous - Item before the edit
+ * @param {Object} updated - Item after the edit
+ * @param {number} [retention]
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function withPasswordHistory(previous, updated, retention = DEFAULT_HISTORY_RETENTION, now = Date.now()) {
+  const replaced = historyFields(previous)
+    .filter(field => previous[field.key] && previous[field.key] !== updated[field.key])
+    .map(field => ({ field: field.key, value: previous[field.key], changedAt: now }));
+
+  const history = trimHistory([...replaced, ...(previous.passwordHistory || [])], retention);
+  const { passwordHistory, ...rest } = updated;
+  return history.length > 0 ? { ...rest, passwordHistory: history } : rest;
+}
+
+/**
+ * Label of the field a history entry belongs to.
+ * @param {Object} item
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function historyLabel(item, entry) {
+  const field = getItemType(item).fields.find(candidate => candidate.key === entry.field);
+  return field ? field.label : entry.field;
+}
@@ -0,0 +1,263 @@
+// Vault item types
+// Each type lists its fields in form order. The schema drives the add/edit
+// form, the list subtitle and the copy actions; items store plain values
+// under the field keys, plus `type`, `folder`, `tags` and the user's own
+// `fields`.
+//
+// Field kinds:
+//   text       single line
+//   multiline  free text
+//   url, email keyboard hints
+//   number     numeric keypad (card numbers, PINs)
+//   password   masked input with generator and strength meter
+//   concealed  masked input and masked display (CVV, PIN, license key)
+//   choice     one of `options`
+//   totp       authenticator key (base32 or otpauth:// URI), shown as the
+//              current code
+
+import { parseTotp } from './totp';
+
+export const DEFAULT_ITEM_TYPE = 'login';
+
+const name = (placeholder) => ({ key: 'name', label: 'Name / Title', kind: 'text', required: true, placeholder });
+const NOTE = { key: 'note', label: 'Note', kind: 'multiline', placeholder: 'Additional notes...' };
+
+export const ITEM_TYPES = {
+  login: {
+    label: 'Login',
+    icon: '🔑',
+    fields: [
+      name('e.g., Gmail, Facebook'),
+      { key: 'url', label: 'Website URL', kind: 'url', placeholder: 'https://example.com' },
+      { key: 'username', label: 'Username / Email', kind: 'email', required: true, copyable: true, placeholder: 'username@example.com' },
+      { key: 'password', label: 'Password', kind: 'password', required: true, copyable: true, placeholder: 'Enter password' },
+      { key: 'totp', label: 'Authenticator Key (TOTP)', kind: 'totp', placeholder: 'Base32 key or otpauth:// URI' },
+      NOTE
+    ],
+    subtitle: 'username',
+    copyField: 'password'
+  },
+  note: {
+    label: 'Secure Note',
+    icon: '📝',
+    fields: [
+      name('e.g., Wi-Fi router setup'),
+      { key: 'note', label: 'Note', kind: 'multiline', required: true, copyable: true }
+    ],
+    copyField: 'note'
+  },
+  card: {
+    label: 'Payment Card',
+    icon: '💳',
+    fields: [
+      name('e.g., Visa Debit'),
+      { key: 'cardholder', label: 'Cardholder Name', kind: 'text', copyable: true },
+      { key: 'number', label: 'Card Number', kind: 'number', required: true, copyable: true },
+      { key: 'expiry', label: 'Expiry (MM/YY)', kind: 'text', placeholder: 'MM/YY', copyable: true },
+      { key: 'cvv', label: 'Security Code', kind: 'concealed', copyable: true },
+      { key: 'pin', label: 'PIN', kind: 'concealed', copyable: true },
+      NOTE
+    ],
+    subtitle: 'number',
+    copyField: 'number'
+  },
+  identity: {
+    label: 'Identity',
+    icon: '🪪',
+    fields: [
+      name('e.g., Personal'),
+      { key: 'fullName', label: 'Full Name', kind: 'text', required: true, copyable: true },
+      { key: 'email', label: 'Email', kind: 'email', copyable: true },
+      { key: 'phone', label: 'Phone', kind: 'number', copyable: true },
+      { key: 'address', label: 'Address', kind: 'multiline', copyable: true },
+      { key: 'birthDate', label: 'Date of Birth', kind: 'text', placeholder: 'YYYY-MM-DD', copyable: true },
+      { key: 'documentNumber', label: 'Passport / ID Number', kind: 'concealed', copyable: true },
+      NOTE
+    ],
+    subtitle: 'fullName',
+    copyField: 'email'
+  },
+  wifi: {
+    label: 'Wi-Fi',
+    icon: '📶',
+    fields: [
+      name('e.g., Home'),
+      { key: 'ssid', label: 'Network Name (SSID)', kind: 'text', required: true, copyable: true },
+      { key: 'password', label: 'Password', kind: 'password', copyable: true },
+      { key: 'security', label: 'Security', kind: 'choice', options: ['WPA3', 'WPA2', 'WEP', 'None'] },
+      NOTE
+    ],
+    subtitle: 'ssid',
+    copyField: 'password'
+  },
+  license: {
+    label: 'Software License',
+    icon: '💿',
+    fields: [
+      name('e.g., Photo Editor Pro'),
+      { key: 'licenseKey', label: 'License Key', kind: 'concealed', required: true, copyable: true },
+      { key: 'version', label: 'Version', kind: 'text' },
+      { key: 'licensedTo', label: 'Licensed To', kind: 'text', copyable: true },
+      { key: 'email', label: 'Registered Email', kind: 'email', copyable: true },
+      { key: 'purchaseDate', label: 'Purchase Date', kind: 'text', placeholder: 'YYYY-MM-DD' },
+      NOTE
+    ],
+    subtitle: 'version',
+    copyField: 'licenseKey'
+  }
+};
+
+// User-defined fields, stored per item as { id, label, kind, value }
+export const CUSTOM_FIELD_KINDS = {
+  text: { label: 'Text' },
+  hidden: { label: 'Hidden', concealed: true },
+  boolean: { label: 'Yes / No' },
+  url: { label: 'URL' },
+  date: { label: 'Date', placeholder: 'YYYY-MM-DD' }
+};
+
+/**
+ * A blank custom field.
+ * @param {string} [kind]
+ * @returns {{id: string, label: string, kind: string, value: string|boolean}}
+ */
+export function newCustomField(kind = 'text') {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2),
+    label: '',
+    kind,
+    value: kind === 'boolean' ? false : ''
+  };
+}
+
+/**
+ * Custom field value as shown and copied.
+ * @param {Object} field
+ * @returns {string}
+ */
+export function customFieldText(field) {
+  if (field.kind === 'boolean') {
+    return field.value ? 'Yes' : 'No';
+  }
+  return String(field.value ?? '');
+}
+
+function isValidDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+}
+
+/**
+ * Schema of an item, falling back to login for untyped and unknown types.
+ * @param {Object} item
+ * @returns {Object}
+ */
+export function getItemType(item) {
+  return ITEM_TYPES[item.type] || ITEM_TYPES[DEFAULT_ITEM_TYPE];
+}
+
+/**
+ * Blank form values for a type.
+ * @param {string} [type]
+ * @returns {Object}
+ */
+export function emptyItem(type = DEFAULT_ITEM_TYPE) {
+  const values = { type, folder: '', tags: [], fields: [] };
+  for (const field of ITEM_TYPES[type].fields) {
+    values[field.key] = field.kind === 'choice' ? field.options[0] : '';
+  }
+  return values;
+}
+
+/**
+ * Form values for an existing item: every field of its type, its folder,
+ * tags and custom fields, nothing else.
+ * @param {Object} item
+ * @returns {Object}
+ */
+export function itemFormValues(item) {
+  const type = ITEM_TYPES[item.type] ? item.type : DEFAULT_ITEM_TYPE;
+  const values = emptyItem(type);
+  for (const field of ITEM_TYPES[type].fields) {
+    if (item[field.key] !== undefined && item[field.key] !== null) {
+      values[field.key] = item[field.key];
+    }
+  }
+  values.folder = item.folder || '';
+  values.tags = [...(item.tags || [])];
+  values.fields = (item.fields || []).map(field => ({ ...field }));
+  return values;
+}
+
+/**
+ * Check the required fields of an item.
+ * @param {Object} item
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateItem(item) {
+  const missing = getItemType(item).fields
+    .filter(field => field.required && !String(item[field.key] || '').trim())
+    .map(field => field.label);
+
+  if (missing.length > 0) {
+    return `Please fill in required fields: ${missing.join(', ')}`;
+  }
+
+  for (const field of item.fields || []) {
+    if (!field.label.trim()) {
+      return 'Every custom field needs a label';
+    }
+    if (field.kind === 'date' && field.value && !isValidDate(field.value.trim())) {
+      return `${field.label} must be a date (YYYY-MM-DD)`;
+    }
+  }
+
+  if (item.type === 'card' && item.expiry && !/^(0[1-9]|1[0-2])\/\d{2}$/.test(item.expiry.trim())) {
+    return 'Expiry must be MM/YY';
+  }
+
+  for (const field of getItemType(item).fields) {
+    if (field.kind === 'totp' && String(item[field.key] || '').trim()) {
+      try {
+        parseTotp(item[field.key]);
+      } catch (err) {
+        return `${field.label}: ${err.message}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Text shown under the item name in the list. Card numbers show the last
+ * four digits only.
+ * @param {Object} item
+ * @returns {string}
+ */
+export function itemSubtitle(item) {
+  const { subtitle } = getItemType(item);
+  const value = subtitle ? String(item[subtitle] || '') : '';
+  if (item.type === 'card' && value) {
+    return `•••• ${value.replace(/\s/g, '').slice(-4)}`;
+  }
+  return value;
+}
+
+/**
+ * Items written before types existed are logins: tag them so the stored
+ * vault says so too.
+ * @param {Array<Object>} items
+ * @returns {{items: Array<Object>, migratedIds: Array<string>}}
+ */
+export function migrateItems(items) {
+  const migratedIds = [];
+  const migrated = items.map(item => {
+    if (item.type) return item;
+    migratedIds.push(item.id);
+    return { ...item, type: DEFAULT_ITEM_TYPE };
+  });
+  return { items: migrated, migratedIds };
+}
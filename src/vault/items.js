@@ -0,0 +1,152 @@
+// Per-item vault layout for React Native
+// Every item is its own ciphertext (a record) and a small encrypted index
+// lists the records in display order. Saving re-encrypts only the items that
+// changed; unchanged records are carried over byte for byte.
+
+import {
+  encryptItem,
+  decryptItem,
+  encryptIndex,
+  decryptIndex,
+  decryptVault,
+  encryptDEK,
+  generateDEK,
+  randomBytes
+} from './crypto';
+
+/**
+ * Check whether vault data uses the per-item layout.
+ * Older envelopes hold the whole items array in `encryptedVault`.
+ * @param {Object|null} vaultData
+ * @returns {boolean}
+ */
+export function hasItemRecords(vaultData) {
+  return !!(vaultData && vaultData.index && Array.isArray(vaultData.records));
+}
+
+// Record ids are random so the server learns nothing from them (item ids
+// contain their creation time)
+function newRecordId() {
+  return Array.from(randomBytes(16), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function readIndex(vaultData, dek, context) {
+  return decryptIndex(
+    new Uint8Array(vaultData.index.data),
+    new Uint8Array(vaultData.index.iv),
+    dek,
+    context
+  );
+}
+
+function decryptRecord(record, dek, context) {
+  return decryptItem(new Uint8Array(record.data), new Uint8Array(record.iv), dek, record.id, context);
+}
+
+async function encryptRecord(item, recordId, dek, context) {
+  const { ciphertext, iv } = await encryptItem(item, dek, recordId, context);
+  return { id: recordId, iv: Array.from(iv), data: Array.from(ciphertext) };
+}
+
+/**
+ * Decrypt all items of a vault, in index order. Reads both layouts.
+ * @param {Object} vaultData - Vault data as stored by setVault
+ * @param {CryptoKey} dek - Data Encryption Key
+ * @param {Object} [context] - Envelope context the vault was encrypted with
+ * @returns {Promise<Array>} Plaintext items
+ */
+export async function openVault(vaultData, dek, context) {
+  if (!hasItemRecords(vaultData)) {
+    if (!vaultData || !vaultData.encryptedVault || vaultData.encryptedVault.length === 0) {
+      return [];
+    }
+    const data = await decryptVault(
+      new Uint8Array(vaultData.encryptedVault),
+      new Uint8Array(vaultData.vaultIV),
+      dek,
+      context
+    );
+    return Array.isArray(data) ? data : [];
+  }
+
+  const index = await readIndex(vaultData, dek, context);
+  const records = new Map(vaultData.records.map(record => [record.id, record]));
+
+  return Promise.all(index.map(entry => {
+    const record = records.get(entry.record);
+    if (!record) {
+      throw new Error('Vault index references a missing item');
+    }
+    return decryptRecord(record, dek, context);
+  }));
+}
+
+/**
+ * Encrypt items into per-item records plus an index.
+ * With a previous vault, items not listed in `changedIds` keep their existing
+ * record. Everything is re-encrypted when there is no previous per-item vault,
+ * when `changedIds` is omitted, or when the envelope format changes.
+ * @param {Array} items - Plaintext items, in display order
+ * @param {CryptoKey} dek - Data Encryption Key
+ * @param {Object} context - Envelope context for the new ciphertexts
+ * @param {Object} [previous]
+ * @param {Object} [previous.vaultData] - Currently stored vault data
+ * @param {Object} [previous.context] - Envelope context of the stored vault
+ * @param {Array<string>} [previous.changedIds] - Ids of added or edited items
+ * @returns {Promise<Object>} Envelope fields to merge into the vault data
+ */
+export async function sealVault(items, dek, context, { vaultData = null, context: previousContext = null, changedIds = null } = {}) {
+  const reusable = new Map();
+
+  if (hasItemRecords(vaultData) && changedIds && previousContext && previousContext.format === context.format) {
+    const index = await readIndex(vaultData, dek, previousContext);
+    const records = new Map(vaultData.records.map(record => [record.id, record]));
+    for (const entry of index) {
+      if (records.has(entry.record)) {
+        reusable.set(entry.id, records.get(entry.record));
+      }
+    }
+  }
+
+  const changed = new Set(changedIds || []);
+  const records = await Promise.all(items.map((item) => {
+    const existing = reusable.get(item.id);
+    if (existing && !changed.has(item.id)) {
+      return existing;
+    }
+    return encryptRecord(item, existing ? existing.id : newRecordId(), dek, context);
+  }));
+
+  const index = items.map((item, i) => ({ id: item.id, record: records[i].id }));
+  const sealedIndex = await encryptIndex(index, dek, context);
+
+  return {
+    records,
+    index: { iv: Array.from(sealedIndex.iv), data: Array.from(sealedIndex.ciphertext) },
+    // Drop the single-ciphertext layout once records exist
+    encryptedVault: undefined,
+    vaultIV: undefined
+  };
+}
+
+/**
+ * Rotate the DEK: decrypt every item with the old DEK, re-encrypt them under a
+ * fresh DEK and wrap the new DEK with the master key.
+ * Nothing is persisted here; callers must commit the result in a single write
+ * so an interrupted rotation leaves the old envelope intact.
+ * @param {Object} vaultData - Currently stored vault data
+ * @param {CryptoKey} oldDek - Current Data Encryption Key
+ * @param {CryptoKey} masterKey - Key Encryption Key (from password)
+ * @param {Object} [readContext] - Envelope context of the current vault
+ * @param {Object} [writeContext] - Envelope context for the rotated vault
+ * @returns {Promise<{dek: CryptoKey, vault: Object, encryptedDEK: Uint8Array, dekIV: Uint8Array}>}
+ */
+export async function rotateDEK(vaultData, oldDek, masterKey, readContext, writeContext) {
+  const items = await openVault(vaultData, oldDek, readContext);
+
+  const dek = await generateDEK();
+  const vault = await sealVault(items, dek, writeContext);
+  const { encryptedDEK, iv: dekIV } = await encryptDEK(dek, masterKey, writeContext);
+
+  return { dek, vault, encryptedDEK, dekIV };
+}
@@ -0,0 +1,89 @@
+// Plaintext framing for React Native
+// Vault payloads are compressed and padded to a fixed size bucket before
+// encryption, so ciphertext length says little about what is inside.
+//
+// Framed payload: [0x00][version][flags][body length, 4 bytes BE][body][zero padding]
+// Legacy payloads are bare JSON text, which never starts with a 0x00 byte.
+
+import { deflateSync, inflateSync } from 'fflate';
+
+const PAYLOAD_MARKER = 0x00;
+export const PAYLOAD_VERSION = 1;
+
+const FLAG_DEFLATE = 0x01;
+const HEADER_LENGTH = 7;
+
+// Buckets double from 256 bytes up to 64 KiB, then grow in 64 KiB steps
+const MIN_BUCKET = 256;
+const MAX_BUCKET_STEP = 64 * 1024;
+
+/**
+ * Size a framed payload is padded to.
+ * @param {number} length - Header + body length
+ * @returns {number}
+ */
+export function bucketSize(length) {
+  if (length > MAX_BUCKET_STEP) {
+    return Math.ceil(length / MAX_BUCKET_STEP) * MAX_BUCKET_STEP;
+  }
+
+  let size = MIN_BUCKET;
+  while (size < length) {
+    size *= 2;
+  }
+  return size;
+}
+
+/**
+ * Check whether decrypted bytes are a framed payload (vs. legacy JSON text).
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isFramedPayload(bytes) {
+  return bytes.length > 0 && bytes[0] === PAYLOAD_MARKER;
+}
+
+/**
+ * Compress (when it helps) and pad plaintext bytes.
+ * @param {Uint8Array} plaintext
+ * @returns {Uint8Array} Framed payload, length is a bucket size
+ */
+export function encodePayload(plaintext) {
+  const deflated = deflateSync(plaintext, { level: 9 });
+  const compress = deflated.length < plaintext.length;
+  const body = compress ? deflated : plaintext;
+
+  const framed = new Uint8Array(bucketSize(HEADER_LENGTH + body.length));
+  framed[0] = PAYLOAD_MARKER;
+  framed[1] = PAYLOAD_VERSION;
+  framed[2] = compress ? FLAG_DEFLATE : 0;
+  new DataView(framed.buffer).setUint32(3, body.length);
+  framed.set(body, HEADER_LENGTH);
+  return framed;
+}
+
+/**
+ * Strip padding and decompress. Legacy (unframed) payloads are returned as is.
+ * @param {Uint8Array} bytes - Decrypted bytes
+ * @returns {Uint8Array} Plaintext
+ */
+export function decodePayload(bytes) {
+  if (!isFramedPayload(bytes)) {
+    return bytes;
+  }
+
+  if (bytes.length < HEADER_LENGTH) {
+    throw new Error('Truncated vault payload');
+  }
+  if (bytes[1] > PAYLOAD_VERSION) {
+    throw new Error(`Vault payload version ${bytes[1]} is not supported by this app version`);
+  }
+
+  const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(3);
+  if (HEADER_LENGTH + length > bytes.length) {
+    throw new Error('Truncated vault payload');
+  }
+
+  const body = bytes.subarray(HEADER_LENGTH, HEADER_LENGTH + length);
+  return bytes[2] & FLAG_DEFLATE ? inflateSync(body) : body;
+}
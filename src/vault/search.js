@@ -0,0 +1,259 @@
+// Fuzzy vault search
+// The index is built in memory from decrypted items and never persisted:
+// VaultScreen keeps it in component state, so it is dropped on lock.
+//
+// Every query word has to match some field, in one of three ways (best
+// first): a substring, the characters in order within a short span
+// ("gthb" → GitHub), or a word within one or two typos ("gooogle").
+
+const FIELD_WEIGHTS = {
+  name: 4,
+  url: 3,
+  username: 3,
+  tags: 2,
+  note: 1
+};
+
+const WORD = /[a-z0-9\u00C0-\uFFFF]+/g;
+
+// Lowercase and strip accents one UTF-16 unit at a time so positions in the
+// folded text are positions in the original
+function fold(text) {
+  let folded = '';
+  for (const char of text) {
+    const lower = char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const unit = lower.length === char.length ? lower : char.toLowerCase().length === char.length ? char.toLowerCase() : char;
+    folded += unit;
+  }
+  return folded;
+}
+
+/**
+ * Host of a URL without a leading "www.", scheme optional.
+ * @param {string} url
+ * @returns {string}
+ */
+export function hostOf(url) {
+  const match = /^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:[^@/]*@)?([^/:?#]+)/i.exec(url.trim());
+  return match ? match[1].replace(/^www\./i, '') : '';
+}
+
+function indexField(key, text, offset = 0) {
+  const folded = fold(text);
+  const words = [];
+  for (const match of folded.matchAll(WORD)) {
+    words.push({ text: match[0], start: match.index });
+  }
+  return { key, text, folded, words, offset, weight: FIELD_WEIGHTS[key] };
+}
+
+/**
+ * Build the in-memory search index over decrypted items.
+ * @param {Array<Object>} items
+ * @returns {{entries: Array<Object>, vocabulary: Array<string>}}
+ */
+export function buildSearchIndex(items) {
+  const entries = items.map(item => {
+    const fields = [];
+    if (item.name) fields.push(indexField('name', item.name));
+    if (item.url) {
+      const host = hostOf(item.url);
+      if (host) fields.push(indexField('url', host, item.url.indexOf(host)));
+    }
+    if (item.username) fields.push(indexField('username', item.username));
+    if (item.tags && item.tags.length > 0) fields.push(indexField('tags', item.tags.join(' ')));
+    if (item.note) fields.push(indexField('note', item.note));
+    return { item, fields };
+  });
+
+  // Every distinct word once, so typo matching runs per word, not per item
+  const vocabulary = new Set();
+  for (const entry of entries) {
+    for (const field of entry.fields) {
+      for (const word of field.words) vocabulary.add(word.text);
+    }
+  }
+  return { entries, vocabulary: [...vocabulary] };
+}
+
+/**
+ * Optimal string alignment distance, or Infinity once it exceeds max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return Infinity;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+const isWordStart = (folded, index) => index === 0 || !/[a-z0-9\u00C0-\uFFFF]/.test(folded[index - 1]);
+
+// Vocabulary words within one or two typos of a query word, whole or by
+// prefix: word → { distance, length } (length of the matched part)
+function typoMatches(token, vocabulary) {
+  const matches = new Map();
+  if (token.length < 4) return matches;
+
+  const max = token.length >= 8 ? 2 : 1;
+  for (const word of vocabulary) {
+    if (word.length < token.length - max) continue;
+    const whole = editDistance(token, word, max);
+    const prefix = word.length > token.length ? editDistance(token, word.slice(0, token.length), max) : Infinity;
+    if (whole !== Infinity || prefix !== Infinity) {
+      matches.set(word, whole <= prefix
+        ? { distance: whole, length: word.length }
+        : { distance: prefix, length: token.length });
+    }
+  }
+  return matches;
+}
+
+// Best match of one query word in one field: { score, ranges } or null
+function matchField(token, field, typos) {
+  const { folded, weight } = field;
+
+  const index = folded.indexOf(token);
+  if (index >= 0) {
+    const bonus = index === 0 ? 6 : isWordStart(folded, index) ? 3 : 0;
+    return { score: weight * (token.length * 2 + bonus), ranges: [[index, index + token.length]] };
+  }
+
+  // Characters in order, within a short span
+  if (token.length >= 2) {
+    const positions = [];
+    let from = 0;
+    for (const char of token) {
+      const position = folded.indexOf(char, from);
+      if (position < 0) break;
+      positions.push(position);
+      from = position + 1;
+    }
+    if (positions.length === token.length) {
+      const span = positions[positions.length - 1] - positions[0] + 1;
+      if (span <= token.length * 2 + 1) {
+        const ranges = [];
+        for (const position of positions) {
+          const last = ranges[ranges.length - 1];
+          if (last && last[1] === position) last[1] = position + 1;
+          else ranges.push([position, position + 1]);
+        }
+        const bonus = isWordStart(folded, positions[0]) ? 2 : 0;
+        return { score: weight * (token.length + bonus - ranges.length * 0.5), ranges };
+      }
+    }
+  }
+
+  // Typos: whole words and word prefixes as long as the query word
+  if (typos.size > 0) {
+    let best = null;
+    for (const word of field.words) {
+      const typo = typos.get(word.text);
+      if (typo && (!best || typo.distance < best.distance)) {
+        best = { distance: typo.distance, ranges: [[word.start, word.start + typo.length]] };
+      }
+    }
+    if (best) {
+      return { score: (weight * token.length) / (1 + best.distance), ranges: best.ranges };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a query into folded words.
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+export function queryTokens(query) {
+  return fold(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Ranked search over the index.
+ * @param {Array<Object>} index - From buildSearchIndex
+ * @param {string} query
+ * @returns {Array<{item: Object, score: number, matches: Object}>} matches maps
+ *   field key to [start, end) ranges in the item's value for that field
+ */
+export function searchItems(index, query) {
+  const tokens = queryTokens(query);
+  if (tokens.length === 0) {
+    return index.entries.map(entry => ({ item: entry.item, score: 0, matches: {} }));
+  }
+
+  const typos = tokens.map(token => typoMatches(token, index.vocabulary));
+  const results = [];
+  for (const entry of index.entries) {
+    let score = 0;
+    const matches = {};
+    let matchedAll = true;
+
+    for (let t = 0; t < tokens.length; t++) {
+      let best = null;
+      for (const field of entry.fields) {
+        const match = matchField(tokens[t], field, typos[t]);
+        if (match && (!best || match.score > best.score)) {
+          best = { ...match, field };
+        }
+      }
+      if (!best) {
+        matchedAll = false;
+        break;
+      }
+      score += best.score;
+      const ranges = best.ranges.map(([start, end]) => [start + best.field.offset, end + best.field.offset]);
+      matches[best.field.key] = [...(matches[best.field.key] || []), ...ranges];
+    }
+
+    if (matchedAll) {
+      results.push({ item: entry.item, score, matches });
+    }
+  }
+
+  return results.sort((a, b) => (
+    b.score - a.score || String(a.item.name).localeCompare(String(b.item.name))
+  ));
+}
+
+/**
+ * Split text into plain and highlighted parts.
+ * @param {string} text
+ * @param {Array<Array<number>>} [ranges]
+ * @returns {Array<{text: string, highlighted: boolean}>}
+ */
+export function highlightParts(text, ranges = []) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let position = 0;
+  for (const [start, end] of sorted) {
+    if (end <= position) continue;
+    const from = Math.max(start, position);
+    if (from > position) parts.push({ text: text.slice(position, from), highlighted: false });
+    parts.push({ text: text.slice(from, end), highlighted: true });
+    position = end;
+  }
+  if (position < text.length) parts.push({ text: text.slice(position), highlighted: false });
+  return parts;
+}
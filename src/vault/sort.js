@@ -0,0 +1,60 @@
+// Vault list ordering
+// Favorites are always pinned above the rest; within each group the chosen
+// mode decides. Usage (`lastUsedAt`, `useCount`) and `favorite` are stored on
+// the encrypted items like every other field.
+
+import { getItemType } from './itemTypes';
+
+export const SORT_MODES = {
+  name: { label: 'Name' },
+  recentlyUsed: { label: 'Recently used' },
+  mostUsed: { label: 'Most used' },
+  recentlyCreated: { label: 'Recently created' },
+  recentlyModified: { label: 'Recently modified' }
+};
+
+export const DEFAULT_SORT_MODE = 'name';
+
+const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' });
+const newestFirst = (key) => (a, b) => (b[key] || 0) - (a[key] || 0) || byName(a, b);
+
+const COMPARATORS = {
+  name: byName,
+  recentlyUsed: newestFirst('lastUsedAt'),
+  mostUsed: (a, b) => (b.useCount || 0) - (a.useCount || 0) || newestFirst('lastUsedAt')(a, b),
+  recentlyCreated: newestFirst('createdAt'),
+  // Never edited counts as modified when created
+  recentlyModified: (a, b) => (b.updatedAt || b.createdAt || 0) - (a.updatedAt || a.createdAt || 0) || byName(a, b)
+};
+
+/**
+ * Sorted copy of the items, favorites first.
+ * @param {Array<Object>} items
+ * @param {string} [mode] - Key of SORT_MODES
+ * @returns {Array<Object>}
+ */
+export function sortItems(items, mode = DEFAULT_SORT_MODE) {
+  const compare = COMPARATORS[mode] || COMPARATORS[DEFAULT_SORT_MODE];
+  return [...items].sort((a, b) => Number(Boolean(b.favorite)) - Number(Boolean(a.favorite)) || compare(a, b));
+}
+
+/**
+ * Whether copying this field of the item counts as using the item: only its
+ * current password does (not usernames, one-time codes or old passwords).
+ * @param {Object} item
+ * @param {string} key - Key of the copied field
+ * @returns {boolean}
+ */
+export function countsAsUse(item, key) {
+  return getItemType(item).fields.some(field => field.key === key && field.kind === 'password');
+}
+
+/**
+ * The item after one use (its password copied).
+ * @param {Object} item
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function recordUse(item, now = Date.now()) {
+  return { ...item, lastUsedAt: now, useCount: (item.useCount || 0) + 1 };
+}
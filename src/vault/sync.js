@@ -1,10 +1,11 @@
 // Sync hook for React Native
 
 import { useState, useEffect } from 'react';
-import { getVault, setVault, getVaultLastModified, setVaultLastModified } from '../utils/storage';
+import { getVault, setVault, getVaultLastModified, setVaultLastModified, setSalt } from '../utils/storage';
 import { api } from '../utils/api';
+import { parseSyncBlob, hasKeyChanged } from './envelope';
 
-export const useSync = (token) => {
+export const useSync = (token, { onKeysChanged } = {}) => {
   const [syncStatus, setSyncStatus] = useState('idle');
 
   const pushToRemote = async (encryptedBlob, lastModified) => {
@@ -26,7 +27,7 @@ export const useSync = (token) => {
           if (pullResult.success) {
             setSyncStatus('synced');
             setTimeout(() => setSyncStatus('idle'), 2000);
-            return { success: true, action: 'pulled', dataUpdated: true };
+            return { success: true, action: 'pulled', dataUpdated: true, keysChanged: pullResult.keysChanged };
           } else {
             setSyncStatus('error');
             return pullResult;
@@ -52,20 +53,22 @@ export const useSync = (token) => {
   const handleServerData = async (encryptedBlob, serverTimestamp) => {
     try {
       // Handle blob - it might be a Buffer, string, or object
-      let blobToStore = encryptedBlob;
+      const blobToStore = parseSyncBlob(encryptedBlob);
       
-      // If it's a Buffer object from PostgreSQL
-      if (blobToStore && blobToStore.type === 'Buffer' && Array.isArray(blobToStore.data)) {
-        console.log('Converting Buffer to string in sync...');
-        const jsonString = String.fromCharCode(...blobToStore.data);
-        blobToStore = JSON.parse(jsonString);
-      } else if (typeof encryptedBlob === 'string') {
-        blobToStore = JSON.parse(encryptedBlob);
-      }
+      // A re-wrapped DEK (password change, KDF upgrade) makes session keys stale
+      const keysChanged = hasKeyChanged(await getVault(), blobToStore);
       
       await setVault(blobToStore);
+      if (blobToStore.salt) {
+        // Keep the stored salt in step with the envelope (KDF upgrades change it)
+        await setSalt(new Uint8Array(blobToStore.salt));
+      }
       await setVaultLastModified(serverTimestamp);
-      return { success: true, updated: true, lastModified: serverTimestamp, blob: blobToStore };
+      
+      if (keysChanged && onKeysChanged) {
+        await onKeysChanged(blobToStore);
+      }
+      return { success: true, updated: true, keysChanged, lastModified: serverTimestamp, blob: blobToStore };
     } catch (err) {
       console.error('Error handling server data:', err);
       return { success: false, error: err.message };
@@ -94,7 +97,7 @@ export const useSync = (token) => {
         if (result.success) {
           setSyncStatus('synced');
           setTimeout(() => setSyncStatus('idle'), 2000);
-          return { success: true, updated: true, lastModified: serverTimestamp, blob: result.blob };
+          return { success: true, updated: true, keysChanged: result.keysChanged, lastModified: serverTimestamp, blob: result.blob };
         } else {
           setSyncStatus('error');
           return result;
@@ -0,0 +1,153 @@
+// TOTP authenticator codes (RFC 6238 over RFC 4226 HOTP)
+// A login stores what the user entered: a base32 secret or an otpauth:// URI.
+
+import { hmac } from '@noble/hashes/hmac.js';
+import { sha1 } from '@noble/hashes/legacy.js';
+import { sha256, sha512 } from '@noble/hashes/sha2.js';
+import { base32Decode } from './encoding';
+
+const HASHES = {
+  SHA1: sha1,
+  SHA256: sha256,
+  SHA512: sha512
+};
+
+export const DEFAULT_TOTP = Object.freeze({
+  algorithm: 'SHA1',
+  digits: 6,
+  period: 30
+});
+
+function decodeComponent(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (err) {
+    return text;
+  }
+}
+
+// URLSearchParams is incomplete in React Native, so the query is split by hand
+function parseQuery(query) {
+  const params = {};
+  for (const pair of query.split('&')) {
+    if (!pair) continue;
+    const [key, ...rest] = pair.split('=');
+    params[decodeComponent(key).toLowerCase()] = decodeComponent(rest.join('='));
+  }
+  return params;
+}
+
+function decodeSecret(text) {
+  let secret;
+  try {
+    secret = base32Decode(text);
+  } catch (err) {
+    throw new Error('Authenticator key is not valid base32');
+  }
+  if (secret.length === 0) {
+    throw new Error('Authenticator key is empty');
+  }
+  return secret;
+}
+
+/**
+ * Parse a base32 secret or an otpauth://totp/ URI.
+ * @param {string} input
+ * @returns {{secret: Uint8Array, algorithm: string, digits: number, period: number, issuer: string, account: string}}
+ */
+export function parseTotp(input) {
+  const text = String(input || '').trim();
+
+  if (!/^otpauth:/i.test(text)) {
+    return { ...DEFAULT_TOTP, secret: decodeSecret(text), issuer: '', account: '' };
+  }
+
+  const match = /^otpauth:\/\/([^/?#]+)\/([^?#]*)(?:\?([^#]*))?/i.exec(text);
+  if (!match) {
+    throw new Error('Invalid otpauth:// URI');
+  }
+  if (match[1].toLowerCase() !== 'totp') {
+    throw new Error('Only time-based (TOTP) codes are supported');
+  }
+
+  const params = parseQuery(match[3] || '');
+  const label = decodeComponent(match[2]);
+  const [labelIssuer, account] = label.includes(':') ? label.split(/:(.*)/s) : ['', label];
+
+  const algorithm = (params.algorithm || DEFAULT_TOTP.algorithm).toUpperCase();
+  if (!HASHES[algorithm]) {
+    throw new Error(`Unsupported TOTP algorithm: ${algorithm}`);
+  }
+
+  const digits = params.digits ? Number(params.digits) : DEFAULT_TOTP.digits;
+  if (!Number.isInteger(digits) || digits < 6 || digits > 10) {
+    throw new Error('TOTP codes must have 6 to 10 digits');
+  }
+
+  const period = params.period ? Number(params.period) : DEFAULT_TOTP.period;
+  if (!Number.isInteger(period) || period < 1) {
+    throw new Error('Invalid TOTP period');
+  }
+
+  if (!params.secret) {
+    throw new Error('otpauth:// URI has no secret');
+  }
+
+  return {
+    secret: decodeSecret(params.secret),
+    algorithm,
+    digits,
+    period,
+    issuer: params.issuer || labelIssuer.trim(),
+    account: (account || '').trim()
+  };
+}
+
+/**
+ * RFC 4226 HOTP value for a counter.
+ * @param {Uint8Array} secret
+ * @param {number} counter
+ * @param {string} [algorithm]
+ * @param {number} [digits]
+ * @returns {string}
+ */
+export function hotp(secret, counter, algorithm = DEFAULT_TOTP.algorithm, digits = DEFAULT_TOTP.digits) {
+  // 8-byte big-endian counter; counters stay below 2^53
+  const message = new Uint8Array(8);
+  let value = counter;
+  for (let i = 7; i >= 0; i--) {
+    message[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+
+  const mac = hmac(HASHES[algorithm], secret, message);
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary =
+    ((mac[offset] & 0x7f) * 0x1000000) +
+    (mac[offset + 1] << 16) +
+    (mac[offset + 2] << 8) +
+    mac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * RFC 6238 TOTP code at a point in time.
+ * @param {Object} config - From parseTotp
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {string}
+ */
+export function generateTotp(config, time = Date.now()) {
+  const counter = Math.floor(time / 1000 / config.period);
+  return hotp(config.secret, counter, config.algorithm, config.digits);
+}
+
+/**
+ * Seconds until the current code expires.
+ * @param {number} period
+ * @param {number} [time]
+ * @returns {number}
+ */
+export function totpRemaining(period, time = Date.now()) {
+  return period - (Math.floor(time / 1000) % period);
+}